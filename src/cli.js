@@ -2,15 +2,203 @@
 
 /* CLI wrapper for notion-to-ssg */
 require("dotenv").config();
-const { exportNotionToSSG } = require("./index");
+const readline = require("readline");
+const {
+  exportNotionToSSG,
+  watchNotionToSSG,
+  validateNotionConfig,
+  initNotionConfig,
+} = require("./index");
+
+// 0: everything exported, 1: the export failed, 2: invalid arguments or
+// config, 3: exported, but some pages or downloads failed
+const EXIT_CODES = { success: 0, failure: 1, invalid: 2, partial: 3 };
+const INVALID_ERROR_CODES = new Set(["CONFIG_NOT_FOUND", "INVALID_SELECTION"]);
+
+function exitCodeFor(error) {
+  return error.problems || INVALID_ERROR_CODES.has(error.code)
+    ? EXIT_CODES.invalid
+    : EXIT_CODES.failure;
+}
+
+function printPlan(plan) {
+  const { files, images, attachments } = plan;
+
+  console.log("\n📋 Planned changes:");
+  for (const entry of files.created) {
+    console.log(`  + ${entry.path}`);
+  }
+  for (const entry of files.renamed) {
+    console.log(`  → ${entry.from} → ${entry.path}`);
+  }
+  for (const entry of files.modified) {
+    console.log(`  ~ ${entry.path}`);
+  }
+  for (const entry of files.deleted) {
+    console.log(`  - ${entry.path}`);
+  }
+  for (const image of images.download) {
+    console.log(`  📷 download ${image.path}`);
+  }
+  for (const image of images.remove) {
+    console.log(`  📷 remove ${image}`);
+  }
+  for (const file of attachments.download) {
+    console.log(`  📎 download ${file.path}`);
+  }
+  for (const file of attachments.remove) {
+    console.log(`  📎 remove ${file}`);
+  }
+
+  for (const entry of [...files.renamed, ...files.modified]) {
+    console.log(`\n${entry.diff}`);
+  }
+
+  const total =
+    files.created.length +
+    files.renamed.length +
+    files.modified.length +
+    files.deleted.length;
+  console.log(
+    `\n${total} file(s) would change, ${images.download.length} image(s) downloaded, ${images.remove.length} removed, ${attachments.download.length} attachment(s) downloaded, ${attachments.remove.length} removed`,
+  );
+}
+
+function printSummary(results) {
+  console.log(
+    hasFailures(results)
+      ? "\n⚠️  Export completed with failures"
+      : "\n✨ Export completed successfully!",
+  );
+  console.log("\nSummary:");
+  for (const result of results) {
+    console.log(
+      `  • ${result.databaseTitle}: ${result.pagesExported} pages exported`,
+    );
+    if (result.pagesUnchanged > 0) {
+      console.log(`    (${result.pagesUnchanged} unchanged pages skipped)`);
+    }
+    if (result.filesDeleted.length > 0) {
+      console.log(`    (${result.filesDeleted.length} stale files deleted)`);
+    }
+    if (result.scheduled.length > 0) {
+      console.log(`    (${result.scheduled.length} scheduled pages withheld)`);
+    }
+    for (const failure of result.pageFailures) {
+      console.log(`    ❌ "${failure.title}": ${failure.error}`);
+    }
+    for (const failure of result.downloadFailures) {
+      console.log(`    ⚠️  ${failure.outputPath}: ${failure.error}`);
+    }
+  }
+
+  const nextPublishAt = results
+    .map((r) => r.nextPublishAt)
+    .filter(Boolean)
+    .sort()[0];
+  if (nextPublishAt) {
+    console.log(`\n⏰ Next scheduled publish: ${nextPublishAt}`);
+  }
+}
+
+function hasFailures(results) {
+  return results.some(
+    (r) => r.pageFailures.length > 0 || r.downloadFailures.length > 0,
+  );
+}
+
+async function validate(configPath) {
+  try {
+    const { file, problems, propertiesChecked } = await validateNotionConfig({
+      configPath,
+      notionToken: process.env.NOTION_TOKEN,
+    });
+    if (!propertiesChecked) {
+      console.log(
+        "⚠️  NOTION_TOKEN is not set: property names were not checked against Notion",
+      );
+    }
+    if (problems.length === 0) {
+      console.log(`✅ ${file || "Config"} is valid`);
+      return;
+    }
+
+    console.error(`❌ ${problems.length} problem(s) found:`);
+    for (const problem of problems) {
+      const location = problem.line
+        ? `${problem.file}:${problem.line}`
+        : problem.file;
+      console.error(
+        `  ${location ? `${location}  ` : ""}${problem.path || "(root)"}: ${problem.message}`,
+      );
+    }
+    process.exit(EXIT_CODES.invalid);
+  } catch (error) {
+    console.error("\n❌ Error:", error.message);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Asks one question at a time; an empty answer keeps the default
+function createPrompt() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  const prompt = (question, defaultValue) =>
+    new Promise((resolve) => {
+      rl.question(`${question} (${defaultValue}): `, (answer) =>
+        resolve(answer.trim() || defaultValue),
+      );
+    });
+  return { prompt, close: () => rl.close() };
+}
+
+async function init({ yes, ...options }) {
+  const interactive = process.stdin.isTTY && !yes;
+  const prompter = interactive ? createPrompt() : null;
+  try {
+    const { file, databases } = await initNotionConfig({
+      ...options,
+      notionToken: process.env.NOTION_TOKEN,
+      prompt: prompter?.prompt,
+    });
+    console.log(`\n✅ Wrote ${file}`);
+    for (const db of databases) {
+      console.log(`  • ${db.title} → ${db.srcDir} (${db.basePath})`);
+    }
+    console.log(
+      `\nReview the proposed slug and excludeProperties, then run: notion-to-ssg -c ${file}`,
+    );
+  } catch (error) {
+    console.error("\n❌ Error:", error.message);
+    process.exit(EXIT_CODES.failure);
+  } finally {
+    prompter?.close();
+  }
+}
 
 async function main() {
   const args = process.argv.slice(2);
+  // Commands come first: notion-to-ssg validate -c my-config.yml
+  const command = ["validate", "init"].includes(args[0]) ? args.shift() : null;
 
   // Parse command line arguments
   let configPath = null;
   let showHelp = false;
   let showVersion = false;
+  let full = false;
+  let dryRun = false;
+  let watch = false;
+  let interval = 30;
+  let concurrency = null;
+  let logLevel = "normal";
+  let json = false;
+  const databases = [];
+  let page = null;
+  // init options
+  const databaseUrls = [];
+  const initOptions = {};
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -19,11 +207,56 @@ async function main() {
       showHelp = true;
     } else if (arg === "-v" || arg === "--version") {
       showVersion = true;
+    } else if (arg === "--full") {
+      full = true;
+    } else if (arg === "--dry-run") {
+      dryRun = true;
+    } else if (arg === "--watch") {
+      watch = true;
+    } else if (arg === "--interval") {
+      interval = parseInt(args[i + 1], 10);
+      i++; // Skip next argument
+    } else if (arg === "--concurrency") {
+      concurrency = parseInt(args[i + 1], 10);
+      i++; // Skip next argument
+    } else if (arg === "--database") {
+      databases.push(args[i + 1]);
+      i++; // Skip next argument
+    } else if (arg === "--page") {
+      page = args[i + 1];
+      i++; // Skip next argument
+    } else if (arg === "-q" || arg === "--quiet") {
+      logLevel = "quiet";
+    } else if (arg === "--verbose") {
+      logLevel = "verbose";
+    } else if (arg === "--json") {
+      json = true;
     } else if (arg === "-c" || arg === "--config") {
       configPath = args[i + 1];
       i++; // Skip next argument
+    } else if (arg === "--adapter") {
+      initOptions.adapter = args[i + 1];
+      i++; // Skip next argument
+    } else if (arg === "--src-dir") {
+      initOptions.srcDir = args[i + 1];
+      i++; // Skip next argument
+    } else if (arg === "--base-path") {
+      initOptions.basePath = args[i + 1];
+      i++; // Skip next argument
+    } else if (arg === "--layout") {
+      initOptions.layout = args[i + 1];
+      i++; // Skip next argument
+    } else if (arg === "--force") {
+      initOptions.force = true;
+    } else if (arg === "-y" || arg === "--yes") {
+      initOptions.yes = true;
+    } else if (command === "init" && !arg.startsWith("-")) {
+      databaseUrls.push(arg);
     } else if (!arg.startsWith("-")) {
       configPath = arg;
+    } else {
+      console.error(`❌ Unknown option: ${arg} (see notion-to-ssg --help)`);
+      process.exit(EXIT_CODES.invalid);
     }
   }
 
@@ -39,12 +272,45 @@ notion-to-ssg - Export Notion databases to Markdown files for static site genera
 
 USAGE:
   notion-to-ssg [OPTIONS] [CONFIG_FILE]
+  notion-to-ssg validate [OPTIONS] [CONFIG_FILE]
+  notion-to-ssg init [INIT OPTIONS] <DATABASE_URL...>
+
+COMMANDS:
+  validate               Check the config (unknown keys, invalid values and
+                         property names missing from Notion) without exporting
+  init                   Write a commented notion.config.yml from the schema of
+                         one or more databases
 
 OPTIONS:
-  -c, --config <file>    Path to config file (default: notion.config.yml/json)
+  -c, --config <file>    Path to config file (default: notion.config.yml/json/js)
+  --full                 Ignore the sync manifest and re-export every page
+  --dry-run              Print what would change without touching disk
+  --watch                Keep running and re-export pages as they change
+  --interval <seconds>   Polling interval for --watch (default: 30)
+  --concurrency <n>      Number of parallel Notion requests (default: 3)
+  --database <name|id>   Only export this database or page tree (repeatable)
+  --page <id|url>        Re-export a single page, changed or not
+  -q, --quiet            Only print warnings and errors
+  --verbose              Also print unchanged pages and error stacks
+  --json                 Print the results as JSON (logs go to stderr)
   -h, --help             Show this help message
   -v, --version          Show version number
 
+INIT OPTIONS:
+  -c, --config <file>    Config file to write (default: notion.config.yml)
+  --adapter <name>       eleventy (default), hugo, jekyll, astro or nextjs-mdx
+  --src-dir <dir>        Markdown directory ({slug} is the database title)
+  --base-path <path>     URL base path (default: /{slug})
+  --layout <file>        Layout file (default: layouts/{slug}.njk for eleventy)
+  --force                Overwrite an existing config file
+  -y, --yes              Don't ask, use the defaults for missing options
+
+EXIT CODES:
+  0  Everything was exported
+  1  The export failed
+  2  Invalid arguments or configuration
+  3  Exported, but some pages or downloads failed
+
 ENVIRONMENT VARIABLES:
   NOTION_TOKEN           Your Notion API integration token (required)
 
@@ -56,39 +322,127 @@ EXAMPLES:
   notion-to-ssg -c my-config.yml
   notion-to-ssg custom-config.json
 
+  # Force a full re-export instead of an incremental sync
+  notion-to-ssg --full
+
+  # Preview the changes an export would make
+  notion-to-ssg --dry-run
+
+  # Re-export one database, or one page after fixing it in Notion
+  notion-to-ssg --database "Blog Posts"
+  notion-to-ssg --page https://www.notion.so/workspace/My-Post-abc123...
+
+  # Machine-readable results for CI
+  notion-to-ssg --quiet --json > export-results.json
+
+  # Check the config and report every problem with its line
+  notion-to-ssg validate
+
+  # Generate a config from a database, without questions (for CI)
+  notion-to-ssg init https://www.notion.so/workspace/abc123... --yes
+
+  # Re-export changed pages every 10 seconds while editing
+  notion-to-ssg --watch --interval 10
+
   # Set token inline (not recommended for production)
   NOTION_TOKEN=secret_xxx notion-to-ssg
 
 CONFIGURATION:
-  Create a notion.config.yml or notion.config.json file in your project root.
+  Create a notion.config.yml, notion.config.json or notion.config.js file in
+  your project root.
   See https://github.com/ZeFish/notion-to-ssg for full documentation.
 
 `);
     process.exit(0);
   }
 
+  if (command === "init") {
+    await init({
+      ...initOptions,
+      databases: databaseUrls,
+      ...(configPath && { configPath }),
+    });
+    return;
+  }
+
+  if (command === "validate") {
+    await validate(configPath);
+    return;
+  }
+
+  if (watch) {
+    const watcher = watchNotionToSSG({
+      configPath,
+      notionToken: process.env.NOTION_TOKEN,
+      concurrency,
+      interval,
+      database: databases,
+      logLevel,
+    });
+    process.on("SIGINT", () => {
+      console.log("\n👋 Stopping watch mode...");
+      watcher.stop();
+    });
+    try {
+      await watcher.done;
+    } catch (error) {
+      console.error("\n❌ Error:", error.message);
+      process.exit(EXIT_CODES.failure);
+    }
+    return;
+  }
+
   try {
-    console.log("🚀 Starting Notion export...\n");
+    if (logLevel !== "quiet" && !json) {
+      console.log("🚀 Starting Notion export...\n");
+    }
 
     const results = await exportNotionToSSG({
       configPath,
       notionToken: process.env.NOTION_TOKEN,
+      full,
+      dryRun,
+      concurrency,
+      database: databases,
+      page,
+      logLevel: json && logLevel === "normal" ? "quiet" : logLevel,
+      // Keep stdout for the JSON document
+      logOutput: json ? process.stderr : process.stdout,
     });
+    const summaries = dryRun ? results.databases : results;
 
-    console.log("\n✨ Export completed successfully!");
-    console.log("\nSummary:");
-    for (const result of results) {
-      console.log(`  • ${result.databaseTitle}: ${result.pagesExported} pages exported`);
-      if (result.filesDeleted.length > 0) {
-        console.log(`    (${result.filesDeleted.length} stale files deleted)`);
-      }
+    if (json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else if (dryRun) {
+      printPlan(results);
+    } else if (logLevel !== "quiet") {
+      printSummary(results);
+    }
+    if (hasFailures(summaries)) {
+      process.exit(EXIT_CODES.partial);
     }
   } catch (error) {
-    console.error("\n❌ Error:", error.message);
-    if (process.env.DEBUG) {
+    if (json) {
+      console.log(
+        JSON.stringify(
+          {
+            error: {
+              message: error.message,
+              code: error.code,
+              problems: error.problems,
+            },
+          },
+          null,
+          2,
+        ),
+      );
+    } else {
+      console.error("\n❌ Error:", error.message);
+    }
+    if (process.env.DEBUG || logLevel === "verbose") {
       console.error(error.stack);
     }
-    process.exit(1);
+    process.exit(exitCodeFor(error));
   }
 }
 
@@ -8,36 +8,73 @@ const yaml = require("js-yaml");
 const https = require("https");
 const http = require("http");
 const crypto = require("crypto");
+const util = require("util");
+const { createTwoFilesPatch } = require("diff");
 
 // Image download cache to avoid re-downloading the same image
 const imageCache = new Map();
+// Same for attachments (PDFs, videos, audio and other files)
+const fileCache = new Map();
+// Files downloaded by previous runs, by the URL of the Notion-hosted file
+const knownAssets = new Map();
 
 // ---------- Configuration Loading ----------
-function loadConfig(configPath = null) {
+function findConfigFile(configPath = null) {
   const tryPaths = configPath
     ? [configPath]
     : [
         path.join(process.cwd(), "notion.config.json"),
         path.join(process.cwd(), "notion.config.yaml"),
         path.join(process.cwd(), "notion.config.yml"),
+        path.join(process.cwd(), "notion.config.js"),
       ];
 
-  for (const p of tryPaths) {
-    if (fs.existsSync(p)) {
-      if (p.endsWith(".json")) {
-        return JSON.parse(fs.readFileSync(p, "utf8"));
-      } else {
-        return yaml.load(fs.readFileSync(p, "utf8"));
-      }
-    }
+  const found = tryPaths.find((p) => fs.existsSync(p));
+  if (found) return found;
+
+  const message = configPath
+    ? `Config file not found: ${configPath}`
+    : "No notion.config.json, notion.config.yaml, notion.config.yml or notion.config.js found in project root";
+  throw Object.assign(new Error(message), { code: "CONFIG_NOT_FOUND" });
+}
+
+function loadConfig(configPath = null) {
+  const p = findConfigFile(configPath);
+  if (/\.c?js$/.test(p)) {
+    // JavaScript configs can use functions as block hooks; watch mode
+    // reloads the config, so don't keep a cached copy
+    const modulePath = path.resolve(p);
+    delete require.cache[modulePath];
+    return require(modulePath);
+  } else if (p.endsWith(".json")) {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } else {
+    return yaml.load(fs.readFileSync(p, "utf8"));
   }
+}
+
+// ---------- Logging ----------
+// Warnings always go to stderr; progress is written at the "normal" level,
+// per-page details at "verbose"
+const LOG_LEVELS = ["quiet", "normal", "verbose"];
+const logger = { level: 1, output: process.stdout };
 
-  if (configPath) {
-    throw new Error(`Config file not found: ${configPath}`);
+function configureLogging(level = "normal", output = process.stdout) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(
+      `Invalid log level "${level}" (expected one of: ${LOG_LEVELS.join(", ")})`,
+    );
   }
-  throw new Error(
-    "No notion.config.json, notion.config.yaml, or notion.config.yml found in project root",
-  );
+  logger.level = LOG_LEVELS.indexOf(level);
+  logger.output = output;
+}
+
+function log(...args) {
+  if (logger.level >= 1) logger.output.write(`${util.format(...args)}\n`);
+}
+
+function logVerbose(...args) {
+  if (logger.level >= 2) logger.output.write(`${util.format(...args)}\n`);
 }
 
 // ---------- File System Helpers ----------
@@ -47,13 +84,13 @@ function ensureDir(dir) {
   }
 }
 
-function getAllMarkdownFilesInDir(dir) {
+function getAllMarkdownFilesInDir(dir, extension = ".md") {
   if (!fs.existsSync(dir)) {
     return [];
   }
   return fs
     .readdirSync(dir)
-    .filter((file) => file.endsWith(".md"))
+    .filter((file) => file.endsWith(extension))
     .map((file) => path.join(dir, file));
 }
 
@@ -81,11 +118,218 @@ function cleanDirectory(dir, pattern = null) {
   return deletedFiles;
 }
 
+// Removes the directories a deleted file leaves empty, up to rootDir
+function removeEmptyDirs(filePath, rootDir) {
+  let dir = path.dirname(path.resolve(filePath));
+  const root = path.resolve(rootDir);
+  while (dir.startsWith(`${root}${path.sep}`)) {
+    if (!fs.existsSync(dir) || fs.readdirSync(dir).length > 0) return;
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+// ---------- Request Scheduling ----------
+const RETRYABLE_ERROR_CODES = new Set([
+  "rate_limited",
+  "internal_server_error",
+  "service_unavailable",
+  "notionhq_client_request_timeout",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryableError(error) {
+  if (!error) return false;
+  if (error.status === 429 || error.status >= 500) return true;
+  return RETRYABLE_ERROR_CODES.has(error.code);
+}
+
+function getRetryDelay(error, attempt) {
+  // Notion sends Retry-After (in seconds) with 429 responses
+  const headers = error?.headers;
+  const retryAfter =
+    typeof headers?.get === "function"
+      ? headers.get("retry-after")
+      : headers?.["retry-after"];
+  const seconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+  const backoff = Math.min(1000 * 2 ** attempt, 30000);
+  return backoff + Math.floor(Math.random() * 250);
+}
+
+/**
+ * Limits concurrent Notion requests and spaces their start times to stay
+ * under the API rate limit, retrying throttled and transient failures.
+ */
+function createRequestScheduler(options = {}) {
+  const concurrency = Math.max(1, Number(options.concurrency) || 3);
+  const minInterval = 1000 / (Number(options.requestsPerSecond) || 3);
+  const maxRetries = options.maxRetries ?? 5;
+  const waiting = [];
+  let active = 0;
+  let nextStartAt = 0;
+
+  async function acquire() {
+    if (active < concurrency) {
+      active++;
+    } else {
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+
+    const now = Date.now();
+    const startAt = Math.max(now, nextStartAt);
+    nextStartAt = startAt + minInterval;
+    if (startAt > now) {
+      await sleep(startAt - now);
+    }
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+
+  async function schedule(fn, label = "request") {
+    for (let attempt = 0; ; attempt++) {
+      let delay;
+      await acquire();
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryableError(error)) {
+          throw error;
+        }
+        delay = getRetryDelay(error, attempt);
+        // Throttling applies to the whole integration: hold back every request
+        if (error.status === 429) {
+          nextStartAt = Math.max(nextStartAt, Date.now() + delay);
+        }
+        console.warn(
+          `  ⏳ Notion ${label} failed (${error.status || error.code}), retrying in ${Math.round(delay / 1000)}s...`,
+        );
+      } finally {
+        release();
+      }
+      await sleep(delay);
+    }
+  }
+
+  return { schedule, concurrency };
+}
+
+// Route every call of a Notion client (including those made by notion-to-md)
+// through the scheduler
+function scheduleNotionRequests(notion, scheduler) {
+  const request = notion.request.bind(notion);
+  notion.request = (args) =>
+    scheduler.schedule(() => request(args), `${args.method} ${args.path}`);
+  return notion;
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = Array.from(
+    { length: Math.min(Math.max(1, limit), items.length) },
+    worker,
+  );
+  await Promise.all(workers);
+  return results;
+}
+
+// ---------- Sync Manifest ----------
+const MANIFEST_VERSION = 1;
+const DEFAULT_MANIFEST_PATH = ".notion-sync.json";
+
+function resolveManifestPath(options, config) {
+  return path.resolve(
+    process.cwd(),
+    options.manifestPath || config.manifestPath || DEFAULT_MANIFEST_PATH,
+  );
+}
+
+function loadManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    if (manifest?.version !== MANIFEST_VERSION || !manifest.pages) {
+      console.warn(
+        `⚠️  Ignoring sync manifest with unsupported format: ${manifestPath}`,
+      );
+      return null;
+    }
+    return manifest;
+  } catch (error) {
+    console.warn(`⚠️  Ignoring unreadable sync manifest: ${error.message}`);
+    return null;
+  }
+}
+
+function saveManifest(manifestPath, manifest) {
+  // Pages are written concurrently: sort keys so the file diffs cleanly
+  const pages = {};
+  for (const key of Object.keys(manifest.pages).sort()) {
+    pages[key] = manifest.pages[key];
+  }
+  ensureDir(path.dirname(manifestPath));
+  fs.writeFileSync(
+    manifestPath,
+    JSON.stringify({ ...manifest, pages }, null, 2) + "\n",
+  );
+}
+
+function hashConfig(obj) {
+  return crypto
+    .createHash("md5")
+    .update(
+      // Block hooks count with their source code
+      JSON.stringify(obj, (key, value) =>
+        typeof value === "function" ? value.toString() : value,
+      ),
+    )
+    .digest("hex")
+    .substring(0, 8);
+}
+
+function deleteFileIfExists(relPath) {
+  const filePath = path.join(process.cwd(), relPath);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    return filePath;
+  }
+  return null;
+}
+
 // ---------- String Helpers ----------
 function extractDatabaseId(idOrUrl) {
   if (idOrUrl.match(/^[a-f0-9]{32}$/)) {
     return idOrUrl; // It's already a valid ID
   }
+  const uuid = idOrUrl.match(
+    /[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/,
+  );
+  if (uuid) {
+    return uuid[0].replace(/-/g, "");
+  }
   const match = idOrUrl.match(/[a-f0-9]{32}/);
   if (match) {
     return match[0];
@@ -97,80 +341,256 @@ function toSlug(str, opts = { lower: true }) {
   return slugify(String(str || ""), {
     lower: !!opts.lower,
     strict: true,
-    locale: "fr",
+    locale: opts.locale || "fr",
     remove: /[*+~.()'":@/?]/g,
     trim: true,
   });
 }
 
 // ---------- Image Downloading ----------
-async function downloadImage(url, destPath) {
+const DOWNLOAD_DEFAULTS = {
+  connectTimeout: 10000,
+  timeout: 30000,
+  maxSize: 100 * 1024 * 1024,
+  retries: 3,
+  maxRedirects: 5,
+};
+
+// Shared by every download of an export, set from the 'downloads' config
+const downloadSettings = { ...DOWNLOAD_DEFAULTS };
+
+function configureDownloads(downloads = {}) {
+  Object.assign(downloadSettings, DOWNLOAD_DEFAULTS, downloads);
+}
+
+function downloadError(message, code, extra = {}) {
+  return Object.assign(new Error(message), { code }, extra);
+}
+
+function downloadOnce(url, destPath, redirectsLeft) {
   return new Promise((resolve, reject) => {
     const protocol = url.startsWith("https") ? https : http;
-    const file = fs.createWriteStream(destPath);
-    const hash = crypto.createHash("md5");
-
-    protocol
-      .get(url, (response) => {
-        if (response.statusCode !== 200) {
-          reject(
-            new Error(
-              `Failed to download image: ${response.statusCode} ${url}`,
-            ),
-          );
+    const { connectTimeout, timeout, maxSize } = downloadSettings;
+    let settled = false;
+    let file = null;
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(connectTimer);
+      request.destroy();
+      // Close the temp file before deleting it, or retries leak descriptors
+      const removeFile = () => fs.unlink(destPath, () => {});
+      if (file && !file.destroyed) {
+        file.once("close", removeFile);
+        file.destroy();
+      } else {
+        removeFile();
+      }
+      reject(error);
+    };
+
+    const request = protocol.get(url, (response) => {
+      const { statusCode, headers } = response;
+
+      // External covers are often served through redirects
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        settled = true;
+        clearTimeout(connectTimer);
+        if (redirectsLeft <= 0) {
+          reject(downloadError(`Too many redirects: ${url}`, "EREDIRECTS"));
           return;
         }
+        const location = new URL(headers.location, url).href;
+        resolve(downloadOnce(location, destPath, redirectsLeft - 1));
+        return;
+      }
 
-        // Hash the content as it's being downloaded
-        response.on("data", (chunk) => {
-          hash.update(chunk);
-        });
+      if (statusCode !== 200) {
+        response.resume();
+        fail(
+          downloadError(
+            `Failed to download file: ${statusCode} ${url}`,
+            `HTTP_${statusCode}`,
+            { status: statusCode, headers },
+          ),
+        );
+        return;
+      }
+
+      if (Number(headers["content-length"]) > maxSize) {
+        fail(
+          downloadError(
+            `File larger than ${maxSize} bytes: ${url}`,
+            "EFILETOOLARGE",
+          ),
+        );
+        return;
+      }
+
+      file = fs.createWriteStream(destPath);
+      const hash = crypto.createHash("md5");
+      const head = [];
+      let size = 0;
+
+      // Hash the content as it's being downloaded
+      response.on("data", (chunk) => {
+        hash.update(chunk);
+        if (size < 512) head.push(chunk);
+        size += chunk.length;
+        if (size > maxSize) {
+          fail(
+            downloadError(
+              `File larger than ${maxSize} bytes: ${url}`,
+              "EFILETOOLARGE",
+            ),
+          );
+        }
+      });
+      response.on("error", fail);
+      file.on("error", fail);
 
-        response.pipe(file);
+      response.pipe(file);
 
-        file.on("finish", () => {
-          file.close();
-          const contentHash = hash.digest("hex").substring(0, 8);
-          resolve({ destPath, contentHash });
+      file.on("finish", () => {
+        file.close();
+        if (settled) return;
+        settled = true;
+        resolve({
+          destPath,
+          contentHash: hash.digest("hex").substring(0, 8),
+          contentType: headers["content-type"] || null,
+          head: Buffer.concat(head).subarray(0, 512),
         });
-      })
-      .on("error", (err) => {
-        fs.unlink(destPath, () => {}); // Delete the file async
-        reject(err);
       });
+    });
 
-    file.on("error", (err) => {
-      fs.unlink(destPath, () => {}); // Delete the file async
-      reject(err);
+    // Connecting and waiting for data are limited separately
+    const connectTimer = setTimeout(
+      () => fail(downloadError(`Connection timed out: ${url}`, "ETIMEDOUT")),
+      connectTimeout,
+    );
+    request.on("socket", (socket) => {
+      if (!socket.connecting) clearTimeout(connectTimer);
+      else socket.once("connect", () => clearTimeout(connectTimer));
     });
+    request.setTimeout(timeout, () =>
+      fail(downloadError(`Download timed out: ${url}`, "ETIMEDOUT")),
+    );
+    request.on("error", fail);
   });
 }
 
+/**
+ * Downloads a file to destPath, following redirects and retrying transient
+ * failures (network errors, timeouts, 429 and 5xx responses) with backoff.
+ */
+async function downloadFile(url, destPath) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await downloadOnce(url, destPath, downloadSettings.maxRedirects);
+    } catch (error) {
+      if (!isRetryableError(error) || attempt >= downloadSettings.retries) {
+        throw error;
+      }
+      await sleep(getRetryDelay(error, attempt));
+    }
+  }
+}
+
+// Signatures of the formats Notion pages commonly embed
+function sniffExtension(head) {
+  if (!head || head.length < 4) return null;
+  const ascii = head.toString("latin1");
+  if (head[0] === 0x89 && ascii.startsWith("PNG", 1)) return "png";
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "jpg";
+  if (ascii.startsWith("GIF8")) return "gif";
+  if (ascii.startsWith("RIFF") && ascii.startsWith("WEBP", 8)) return "webp";
+  if (ascii.startsWith("RIFF") && ascii.startsWith("WAVE", 8)) return "wav";
+  if (ascii.startsWith("%PDF")) return "pdf";
+  if (ascii.startsWith("OggS")) return "ogg";
+  if (ascii.startsWith("ID3")) return "mp3";
+  if (ascii.startsWith("PK\x03\x04")) return "zip";
+  if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf) return "webm";
+  if (ascii.startsWith("ftyp", 4)) {
+    const brand = ascii.slice(8, 12);
+    if (brand === "avif") return "avif";
+    if (brand.startsWith("M4A")) return "m4a";
+    if (brand === "qt  ") return "mov";
+    return "mp4";
+  }
+  if (/<svg[\s>]/i.test(ascii)) return "svg";
+  return null;
+}
+
+// Signed Notion URLs change on every fetch; the path identifies the file
+function imageSourceKey(url) {
+  return url.split("?")[0];
+}
+
+function rememberDownloadedAssets(previousPages) {
+  knownAssets.clear();
+  for (const entry of Object.values(previousPages)) {
+    const sources = { ...entry.imageSources, ...entry.fileSources };
+    for (const [source, filePath] of Object.entries(sources)) {
+      if (isNotionFileUrl(source)) knownAssets.set(source, { filePath });
+    }
+  }
+}
+
+// Only Notion-hosted files are known by their URL path: external URLs may
+// differ by their query string alone. Deleted files are downloaded again.
+function findDownloadedAsset(cache, url) {
+  const cached =
+    cache.get(url) ||
+    (isNotionFileUrl(url) ? knownAssets.get(imageSourceKey(url)) : null);
+  if (cached && fs.existsSync(path.join(process.cwd(), cached.filePath))) {
+    return cached.filePath;
+  }
+  return null;
+}
+
+function toPublicImagePath(filePath, publicDir = "src") {
+  const publicRoot = path.join(process.cwd(), publicDir);
+  const relPath = path.relative(
+    publicRoot,
+    path.resolve(process.cwd(), filePath),
+  );
+  return `/${relPath.split(path.sep).join("/")}`;
+}
+
 function getImageExtension(url) {
   const urlWithoutQuery = url.split("?")[0];
   const match = urlWithoutQuery.match(/\.(jpg|jpeg|png|gif|webp|svg)$/i);
   return match ? match[1].toLowerCase() : "jpg";
 }
 
-async function saveNotionImage(imageUrl, pageSlug, imageIndex, imagesDir) {
-  // Check cache first
-  if (imageCache.has(imageUrl)) {
-    return imageCache.get(imageUrl);
-  }
-
-  try {
+async function saveNotionImage(
+  imageUrl,
+  pageSlug,
+  imageIndex,
+  imagesDir,
+  assets = null,
+  publicDir = "src",
+  responsive = null,
+) {
+  // Check cache first; download failures are thrown to the caller
+  let filePath = findDownloadedAsset(imageCache, imageUrl);
+  if (!filePath) {
     ensureDir(imagesDir);
 
-    const ext = getImageExtension(imageUrl);
-
-    // Download to a temporary path first to get content hash
-    const tempFilename = `temp-${Date.now()}-${imageIndex}.${ext}`;
+    // Download to a temporary path first to get content hash and type
+    const tempFilename = `temp-${Date.now()}-${crypto.randomBytes(4).toString("hex")}.tmp`;
     const tempPath = path.join(imagesDir, tempFilename);
 
-    const { destPath: downloadedPath, contentHash } = await downloadImage(
-      imageUrl,
-      tempPath,
-    );
+    const {
+      destPath: downloadedPath,
+      contentHash,
+      contentType,
+      head,
+    } = await downloadFile(imageUrl, tempPath);
+    const ext =
+      detectExtension(contentType, head) || getImageExtension(imageUrl);
 
     // Use content hash instead of URL hash to avoid duplicates
     const filename = `${pageSlug}-${imageIndex}-${contentHash}.${ext}`;
@@ -180,23 +600,311 @@ async function saveNotionImage(imageUrl, pageSlug, imageIndex, imagesDir) {
     if (fs.existsSync(finalPath)) {
       // Delete the temp file since we already have this image
       fs.unlinkSync(downloadedPath);
-      console.log(`  📷 Image already exists (reusing): ${filename}`);
-      const relativePath = `/${path.relative(path.join(process.cwd(), "src"), finalPath)}`;
-      imageCache.set(imageUrl, relativePath);
-      return relativePath;
+      log(`  📷 Image already exists (reusing): ${filename}`);
+    } else {
+      // Rename temp file to final filename
+      fs.renameSync(downloadedPath, finalPath);
+      log(`  📷 Downloaded image: ${filename}`);
+    }
+
+    filePath = path.relative(process.cwd(), finalPath);
+    imageCache.set(imageUrl, { filePath });
+  }
+
+  const url = toPublicImagePath(filePath, publicDir);
+  const asset = { source: imageSourceKey(imageUrl), url, filePath };
+  if (responsive) {
+    try {
+      const { image, variants } = await createResponsiveImage(
+        filePath,
+        responsive,
+        publicDir,
+      );
+      asset.responsive = image;
+      asset.variants = variants;
+    } catch (error) {
+      console.warn(`  ⚠️  Failed to process image: ${error.message}`);
+    }
+  }
+  if (assets) assets.push(asset);
+  return url;
+}
+
+// ---------- Attachments ----------
+// Files uploaded to Notion are served from signed S3 URLs that expire
+const NOTION_FILE_HOSTS = new Set([
+  "prod-files-secure.s3.us-west-2.amazonaws.com",
+  "file.notion.so",
+]);
+// The shared S3 host also serves other buckets: only this path is Notion's
+const NOTION_S3_HOST = "s3.us-west-2.amazonaws.com";
+const NOTION_S3_PATH = "/secure.notion-static.com/";
+
+const MIME_EXTENSIONS = {
+  "application/pdf": "pdf",
+  "application/zip": "zip",
+  "application/json": "json",
+  "application/msword": "doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+  "application/vnd.ms-excel": "xls",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+  "application/vnd.ms-powerpoint": "ppt",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation":
+    "pptx",
+  "text/plain": "txt",
+  "text/csv": "csv",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "video/quicktime": "mov",
+  "audio/mpeg": "mp3",
+  "audio/mp4": "m4a",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/ogg": "ogg",
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+};
+
+function isNotionFileUrl(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return (
+      NOTION_FILE_HOSTS.has(hostname) ||
+      (hostname === NOTION_S3_HOST && pathname.startsWith(NOTION_S3_PATH))
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+// Notion's file name without its extension, e.g. "Annual Report 2024"
+function attachmentBaseName(url, name) {
+  const fileName =
+    name || decodeURIComponent(imageSourceKey(url).split("/").pop() || "");
+  return fileName.replace(/\.[a-z0-9]{1,5}$/i, "");
+}
+
+// S3 often answers with a generic type: look at the first bytes instead
+function detectExtension(contentType, head) {
+  const mimeType = (contentType || "").split(";")[0].trim().toLowerCase();
+  return MIME_EXTENSIONS[mimeType] || sniffExtension(head);
+}
+
+function getFileExtension(url, contentType, head = null) {
+  const detected = detectExtension(contentType, head);
+  if (detected) return detected;
+  const match = imageSourceKey(url).match(/\.([a-z0-9]{1,5})$/i);
+  return match ? match[1].toLowerCase() : "bin";
+}
+
+async function saveNotionFile(
+  fileUrl,
+  name,
+  pageSlug,
+  filesDir,
+  assets = null,
+  publicDir = "src",
+) {
+  // Download failures are thrown to the caller
+  let filePath = findDownloadedAsset(fileCache, fileUrl);
+  if (!filePath) {
+    ensureDir(filesDir);
+
+    // The extension is only known once the download started
+    const tempPath = path.join(
+      filesDir,
+      `temp-${Date.now()}-${crypto.randomBytes(4).toString("hex")}.tmp`,
+    );
+    const { destPath, contentHash, contentType, head } = await downloadFile(
+      fileUrl,
+      tempPath,
+    );
+
+    const baseName = toSlug(attachmentBaseName(fileUrl, name)) || pageSlug;
+    const ext = getFileExtension(fileUrl, contentType, head);
+    const filename = `${baseName}-${contentHash}.${ext}`;
+    const finalPath = path.join(filesDir, filename);
+
+    if (fs.existsSync(finalPath)) {
+      fs.unlinkSync(destPath);
+      log(`  📎 File already exists (reusing): ${filename}`);
+    } else {
+      fs.renameSync(destPath, finalPath);
+      log(`  📎 Downloaded file: ${filename}`);
     }
 
-    // Rename temp file to final filename
-    fs.renameSync(downloadedPath, finalPath);
-    console.log(`  📷 Downloaded image: ${filename}`);
+    filePath = path.relative(process.cwd(), finalPath);
+    fileCache.set(fileUrl, { filePath });
+  }
+
+  const url = toPublicImagePath(filePath, publicDir);
+  if (assets) assets.push({ source: imageSourceKey(fileUrl), url, filePath });
+  return url;
+}
+
+// notion-to-md has no audio support: render it like file, pdf and video blocks
+function audioBlockToMarkdown(block) {
+  const audio = block.audio;
+  const url =
+    audio?.type === "external" ? audio.external?.url : audio?.file?.url;
+  if (!url) return "";
+  const caption = (audio.caption || []).map((item) => item.plain_text).join("");
+  const title =
+    caption.trim() ||
+    decodeURIComponent(imageSourceKey(url).split("/").pop() || "") ||
+    "audio";
+  return `[${title}](${url})`;
+}
+
+// ---------- Responsive Images ----------
+const RESPONSIVE_DEFAULTS = {
+  widths: [640, 1280, 1920],
+  formats: ["webp"],
+  quality: 80,
+  sizes: "100vw",
+  markup: "picture",
+};
+
+const RESPONSIVE_FORMATS = {
+  avif: "image/avif",
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+  png: "image/png",
+};
+
+const RESPONSIVE_MARKUPS = ["picture", "object"];
 
-    const relativePath = `/${path.relative(path.join(process.cwd(), "src"), finalPath)}`;
-    imageCache.set(imageUrl, relativePath);
-    return relativePath;
+// Vector and animated images are served as they are
+const UNRESIZABLE_FORMATS = new Set(["svg", "gif"]);
+
+// sharp is an optional dependency: only required when the stage is enabled
+function loadSharp() {
+  try {
+    return require("sharp");
   } catch (error) {
-    console.warn(`  ⚠️  Failed to download image: ${error.message}`);
-    return imageUrl; // Fallback to original URL
+    throw new Error(
+      "Responsive images need the optional 'sharp' package: npm install sharp",
+    );
+  }
+}
+
+function normalizeResponsiveConfig(images) {
+  const responsive = images?.responsive;
+  if (!responsive) return null;
+
+  const conf = {
+    ...RESPONSIVE_DEFAULTS,
+    ...(responsive === true ? {} : responsive),
+  };
+  for (const format of conf.formats) {
+    if (!RESPONSIVE_FORMATS[format]) {
+      throw new Error(
+        `Invalid 'images.responsive.formats' value "${format}" (expected one of: ${Object.keys(RESPONSIVE_FORMATS).join(", ")})`,
+      );
+    }
+  }
+  if (!conf.widths.every((width) => Number.isInteger(width) && width > 0)) {
+    throw new Error(
+      "'images.responsive.widths' must be a list of positive integers",
+    );
   }
+  if (!RESPONSIVE_MARKUPS.includes(conf.markup)) {
+    throw new Error(
+      `Invalid 'images.responsive.markup' value "${conf.markup}" (expected one of: ${RESPONSIVE_MARKUPS.join(", ")})`,
+    );
+  }
+  loadSharp();
+  return conf;
+}
+
+/**
+ * Generates the resized variants of a downloaded image next to it. Variant
+ * names derive from the content-hashed original, so existing files are kept.
+ * With write=false nothing is generated and the missing variants are listed.
+ */
+async function createResponsiveImage(filePath, conf, publicDir, write = true) {
+  const sharp = loadSharp();
+  const absPath = path.resolve(process.cwd(), filePath);
+  const ext = path.extname(absPath);
+  const base = absPath.slice(0, absPath.length - ext.length);
+
+  let width = null;
+  let height = null;
+  let resizable = !UNRESIZABLE_FORMATS.has(ext.slice(1).toLowerCase());
+  if (fs.existsSync(absPath)) {
+    const meta = await sharp(absPath).metadata();
+    width = meta.width || null;
+    height = meta.height || null;
+    resizable = !UNRESIZABLE_FORMATS.has(meta.format);
+  }
+
+  // Never upscale: smaller images get a single variant at their own width
+  let widths = width ? conf.widths.filter((w) => w <= width) : conf.widths;
+  if (width && widths.length === 0) widths = [width];
+
+  const sources = [];
+  const variants = [];
+  const missing = [];
+  for (const format of resizable ? conf.formats : []) {
+    const srcset = [];
+    for (const w of widths) {
+      const variantPath = `${base}-${w}w.${format}`;
+      const relPath = path.relative(process.cwd(), variantPath);
+      if (!fs.existsSync(variantPath)) {
+        if (!write) {
+          missing.push(relPath);
+        } else {
+          await sharp(absPath)
+            .resize({ width: w })
+            .toFormat(format, { quality: conf.quality })
+            .toFile(variantPath);
+        }
+      }
+      variants.push(relPath);
+      srcset.push(`${toPublicImagePath(variantPath, publicDir)} ${w}w`);
+    }
+    sources.push({
+      type: RESPONSIVE_FORMATS[format],
+      srcset: srcset.join(", "),
+    });
+  }
+
+  return {
+    image: {
+      src: toPublicImagePath(absPath, publicDir),
+      width,
+      height,
+      sizes: conf.sizes,
+      sources,
+    },
+    variants,
+    missing,
+  };
+}
+
+function escapeHtmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;");
+}
+
+// Kept on one line so Markdown renderers treat it as inline HTML, with
+// self-closed void tags so MDX compiles it too
+function toPictureHtml(image, alt) {
+  const sizes = escapeHtmlAttribute(image.sizes);
+  const sources = image.sources.map(
+    (source) =>
+      `<source type="${source.type}" srcset="${escapeHtmlAttribute(source.srcset)}" sizes="${sizes}" />`,
+  );
+  const dimensions = image.width
+    ? ` width="${image.width}" height="${image.height}"`
+    : "";
+  return `<picture>${sources.join("")}<img src="${escapeHtmlAttribute(image.src)}" alt="${escapeHtmlAttribute(alt)}"${dimensions} loading="lazy" decoding="async" /></picture>`;
 }
 
 // ---------- Notion Property Extraction ----------
@@ -219,16 +927,140 @@ function getFirstTitleText(page) {
   return null;
 }
 
+function isEmptyValue(val) {
+  return val === null || val === undefined || val === "";
+}
+
 function normalizeRichText(rtArray) {
   if (!Array.isArray(rtArray)) return "";
   return rtArray.map((t) => t.plain_text || "").join("");
 }
 
-function normalizePeople(peopleArray) {
+// Notion page ID of an internal link: a notion.so URL or a "/<id>" path
+function notionLinkId(url) {
+  if (!url) return null;
+  const notionUrlMatch = url.match(
+    /https?:\/\/(?:www\.)?notion\.so\/(?:[a-zA-Z0-9-]+\/)?([a-f0-9]{32})/,
+  );
+  if (notionUrlMatch) return notionUrlMatch[1];
+  if (
+    url.match(
+      /^\/[a-f0-9]{32}$|^\/[a-f0-9]{8}-?[a-f0-9]{4}-?[a-f0-9]{4}-?[a-f0-9]{4}-?[a-f0-9]{12}$/i,
+    )
+  ) {
+    return url.replace(/[\/\-]/g, "").toLowerCase();
+  }
+  return null;
+}
+
+const RICH_TEXT_FORMATS = ["plain", "markdown", "html"];
+
+const RICH_TEXT_MARKUP = {
+  markdown: {
+    code: (text) => `\`${text}\``,
+    bold: (text) => `**${text}**`,
+    italic: (text) => `_${text}_`,
+    strikethrough: (text) => `~~${text}~~`,
+    underline: (text) => `<u>${text}</u>`,
+    link: (text, href) => `[${text}](${href})`,
+    equation: (expression) => `$${expression}$`,
+    text: (text) => text,
+  },
+  html: {
+    code: (text) => `<code>${text}</code>`,
+    bold: (text) => `<strong>${text}</strong>`,
+    italic: (text) => `<em>${text}</em>`,
+    strikethrough: (text) => `<s>${text}</s>`,
+    underline: (text) => `<u>${text}</u>`,
+    link: (text, href) => `<a href="${escapeHtmlAttribute(href)}">${text}</a>`,
+    equation: (expression) => `\\(${escapeHtmlAttribute(expression)}\\)`,
+    text: (text) => escapeHtmlAttribute(text).replace(/\n/g, "<br>"),
+  },
+};
+
+const LINK_SCHEME_RE = /^([a-z][a-z\d+.-]*):/i;
+const LINK_SCHEMES = new Set(["http", "https", "mailto", "tel"]);
+
+/**
+ * Renders rich text as Markdown or HTML. Only Notion's annotations become
+ * markup: HTML text is escaped, and links with a scheme other than http(s),
+ * mailto or tel keep their URL as text after the link text instead of
+ * becoming a link. Page links and mentions go through resolveLink, which
+ * returns the permalink of exported pages.
+ */
+function renderRichText(rtArray, format, resolveLink = () => null) {
+  if (!Array.isArray(rtArray)) return "";
+  const markup = RICH_TEXT_MARKUP[format];
+  return rtArray
+    .map((item) => {
+      if (item.type === "equation") {
+        return markup.equation(item.equation.expression);
+      }
+
+      const plainText = item.plain_text || "";
+      // Annotations wrap the text, not the spaces around it
+      const [, leading, text, trailing] = plainText.match(/^(\s*)(.*?)(\s*)$/s);
+      let rendered = markup.text(text);
+      if (text) {
+        const annotations = item.annotations || {};
+        for (const name of [
+          "code",
+          "bold",
+          "italic",
+          "strikethrough",
+          "underline",
+        ]) {
+          if (annotations[name]) rendered = markup[name](rendered);
+        }
+      }
+
+      const pageId =
+        item.mention?.type === "page"
+          ? item.mention.page.id.replace(/-/g, "")
+          : notionLinkId(item.href);
+      const href = (pageId && resolveLink(pageId)) || item.href;
+      if (href) {
+        const scheme = href.match(LINK_SCHEME_RE)?.[1].toLowerCase();
+        rendered =
+          !scheme || LINK_SCHEMES.has(scheme)
+            ? markup.link(rendered, href)
+            : `${rendered}${markup.text(` (${href})`)}`;
+      }
+      return markup.text(leading) + rendered + markup.text(trailing);
+    })
+    .join("");
+}
+
+const PEOPLE_FORMATS = ["name", "object"];
+
+// Users are partial (ID only) unless the integration may read user info
+function normalizeUser(user, format = "name") {
+  if (!user) return null;
+  if (format === "object") {
+    return {
+      id: user.id,
+      name: user.name ?? null,
+      email: user.person?.email ?? null,
+      avatar: user.avatar_url ?? null,
+    };
+  }
+  return user.name || user.person?.email || user.id || null;
+}
+
+function normalizePeople(peopleArray, format) {
   if (!Array.isArray(peopleArray)) return [];
-  return peopleArray
-    .map((p) => p?.name || p?.person?.email || p?.id)
-    .filter(Boolean);
+  return peopleArray.map((p) => normalizeUser(p, format)).filter(Boolean);
+}
+
+// Date ranges are opt-in: templates usually only need the start
+function normalizeDate(date, ranges = false) {
+  if (!date?.start) return null;
+  if (!ranges) return date.start;
+  return {
+    start: date.start,
+    end: date.end ?? null,
+    timeZone: date.time_zone ?? null,
+  };
 }
 
 function normalizeFiles(files) {
@@ -247,38 +1079,44 @@ function normalizeRelation(rel) {
   return rel.map((r) => r.id).filter(Boolean);
 }
 
-function normalizeRollup(rollup) {
+// Related pages outside the export are dropped: templates can't link to them
+function resolveRelation(rel, pageMap, field) {
+  if (!Array.isArray(rel)) return [];
+  return rel
+    .map((r) => pageMap.get(String(r.id).replace(/-/g, "")))
+    .filter(Boolean)
+    .map(({ id, title, slug, permalink }) => {
+      const related = { id, title, slug, permalink };
+      return field === "object" ? related : related[field];
+    });
+}
+
+function normalizeRollup(rollup, options) {
   if (!rollup) return null;
   switch (rollup.type) {
     case "number":
       return rollup.number ?? null;
     case "date":
-      return rollup.date?.start ?? null;
+      return normalizeDate(rollup.date, options.dateRanges);
     case "array":
       return (rollup.array || [])
-        .map((el) => {
-          if (!el || !el.type) return null;
-          if (el.type === "title") return normalizeRichText(el.title);
-          if (el.type === "rich_text") return normalizeRichText(el.rich_text);
-          if (el.type === "people") return normalizePeople(el.people);
-          if (el.type === "relation") return normalizeRelation(el.relation);
-          if (el.type === "files") return normalizeFiles(el.files);
-          if (el.type === "number") return el.number ?? null;
-          if (el.type === "date") return el.date?.start ?? null;
-          if (el.type === "rollup") return normalizeRollup(el.rollup);
-          if (el.type === "select") return el.select?.name ?? null;
-          if (el.type === "multi_select")
-            return (el.multi_select || []).map((m) => m.name);
-          if (el.type === "status") return el.status?.name ?? null;
-          return null;
-        })
+        .map((el) => extractPropValue(el, options))
         .filter((v) => v !== null);
+    // Incomplete rollups are completed when pages are fetched; Notion has no
+    // value for unsupported ones
+    case "incomplete":
+    case "unsupported":
     default:
       return null;
   }
 }
 
-function extractPropValue(prop) {
+/**
+ * Front matter value of a property. Options (from the database config) only
+ * change what is written to the front matter: dateRanges turns dates into
+ * { start, end, timeZone } and people "object" into { id, name, email, avatar }.
+ */
+function extractPropValue(prop, options = {}) {
   if (!prop || !prop.type) return null;
   switch (prop.type) {
     case "title":
@@ -292,7 +1130,7 @@ function extractPropValue(prop) {
     case "url":
       return prop.url ?? null;
     case "date":
-      return prop.date?.start ?? null;
+      return normalizeDate(prop.date, options.dateRanges);
     case "email":
       return prop.email ?? null;
     case "phone_number":
@@ -302,13 +1140,28 @@ function extractPropValue(prop) {
     case "checkbox":
       return !!prop.checkbox;
     case "people":
-      return normalizePeople(prop.people);
+      return normalizePeople(prop.people, options.people);
     case "files":
       return normalizeFiles(prop.files);
     case "relation":
       return normalizeRelation(prop.relation);
     case "status":
       return prop.status?.name ?? null;
+    case "unique_id":
+      if (!prop.unique_id || prop.unique_id.number === null) return null;
+      return prop.unique_id.prefix
+        ? `${prop.unique_id.prefix}-${prop.unique_id.number}`
+        : prop.unique_id.number;
+    case "created_time":
+      return prop.created_time ?? null;
+    case "last_edited_time":
+      return prop.last_edited_time ?? null;
+    case "created_by":
+      return normalizeUser(prop.created_by, options.people);
+    case "last_edited_by":
+      return normalizeUser(prop.last_edited_by, options.people);
+    case "verification":
+      return prop.verification?.state ?? null;
     case "formula":
       if (!prop.formula) return null;
       switch (prop.formula.type) {
@@ -319,84 +1172,2203 @@ function extractPropValue(prop) {
         case "boolean":
           return prop.formula.boolean ?? null;
         case "date":
-          return prop.formula.date?.start ?? null;
+          return normalizeDate(prop.formula.date, options.dateRanges);
         default:
           return null;
       }
     case "rollup":
-      return normalizeRollup(prop.rollup);
+      return normalizeRollup(prop.rollup, options);
+    // Buttons have no value
+    case "button":
     default:
       return null;
   }
 }
 
-// ---------- Database Configuration ----------
-function detectDbConfig(dbConf, dbMeta) {
-  if (!dbConf.srcDir) {
-    throw new Error(`Missing required field 'srcDir' in database config`);
-  }
-  if (!dbConf.basePath) {
-    throw new Error(`Missing required field 'basePath' in database config`);
-  }
-  if (!dbConf.layout) {
-    throw new Error(`Missing required field 'layout' in database config`);
-  }
+// ---------- Property Mapping ----------
+const KEY_STYLES = {
+  camelCase: (words) =>
+    words
+      .map((w, i) =>
+        i === 0
+          ? w.toLowerCase()
+          : w.charAt(0).toUpperCase() + w.slice(1).toLowerCase(),
+      )
+      .join(""),
+  snake_case: (words) => words.map((w) => w.toLowerCase()).join("_"),
+  "kebab-case": (words) => words.map((w) => w.toLowerCase()).join("-"),
+};
+
+const RICH_TEXT_TYPES = new Set(["title", "rich_text"]);
+
+const RELATION_FIELDS = new Set(["object", "id", "title", "slug", "permalink"]);
+
+const COERCION_TYPES = new Set([
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "array",
+  "date",
+  "iso",
+]);
+
+function applyKeyStyle(name, style) {
+  if (!style) return name;
+  // "Author(s)" reads as "Authors"
+  const words = name
+    .replace(/\(s\)/gi, "s")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  return words.length > 0 ? KEY_STYLES[style](words) : name;
+}
+
+// Formatted rich text keeps its plain text next to it, e.g. "summaryPlain"
+function plainTextKey(key, style) {
+  if (style === "snake_case") return `${key}_plain`;
+  if (style === "kebab-case") return `${key}-plain`;
+  return `${key}Plain`;
+}
+
+function coerceValue(value, type) {
+  const first = Array.isArray(value) ? value[0] : value;
+  switch (type) {
+    case "string":
+      return Array.isArray(value) ? value.join(", ") : String(value);
+    case "number": {
+      const n = Number(first);
+      return Number.isNaN(n) ? null : n;
+    }
+    case "integer": {
+      const n = parseInt(first, 10);
+      return Number.isNaN(n) ? null : n;
+    }
+    case "boolean":
+      if (typeof first === "string") {
+        return ["true", "yes", "1", "on"].includes(first.trim().toLowerCase());
+      }
+      return Boolean(first);
+    case "array":
+      return Array.isArray(value) ? value : [value];
+    case "date":
+    case "iso": {
+      const date = new Date(first);
+      if (Number.isNaN(date.getTime())) return null;
+      return type === "date" ? toDate(first) : date.toISOString();
+    }
+    default:
+      return value;
+  }
+}
+
+function setNestedValue(obj, dottedKey, value) {
+  const keys = dottedKey.split(".");
+  let target = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+// The page title is already in the front matter as plain text: a property
+// landing on the same key is left out unless its mapping names that key
+function overwritesPageTitle(key, mapping) {
+  return key === "title" && mapping.name !== "title";
+}
+
+// Only names from the 'properties' mapping nest: an unmapped Notion property
+// such as "v1.2 Notes" keeps its own name as a plain key
+function setFrontMatterValue(front, key, value, nested) {
+  if (nested) setNestedValue(front, key, value);
+  else front[key] = value;
+}
+
+/**
+ * Normalizes the 'properties' mapping block. Each entry is either a new key
+ * ("Publish Date": date) or { name, type, default, resolve }; dotted names
+ * nest and 'resolve' turns relation IDs into exported pages.
+ */
+function normalizePropertyMap(properties, dbMeta) {
+  const map = new Map();
+  for (const [propName, mapping] of Object.entries(properties || {})) {
+    if (dbMeta?.properties && !dbMeta.properties[propName]) {
+      throw new Error(
+        `Unknown property "${propName}" in 'properties' database config`,
+      );
+    }
+    const entry =
+      typeof mapping === "string" ? { name: mapping } : { ...mapping };
+    if (entry.resolve === true) entry.resolve = "object";
+    if (entry.resolve) {
+      if (!RELATION_FIELDS.has(entry.resolve)) {
+        throw new Error(
+          `Invalid resolve value "${entry.resolve}" for property "${propName}" (expected true or one of: ${Array.from(RELATION_FIELDS).join(", ")})`,
+        );
+      }
+      const propType = dbMeta?.properties?.[propName]?.type;
+      if (propType && propType !== "relation") {
+        throw new Error(
+          `Property "${propName}" is not a relation and cannot be resolved`,
+        );
+      }
+    }
+    if (entry.format) {
+      if (!RICH_TEXT_FORMATS.includes(entry.format)) {
+        throw new Error(
+          `Invalid format "${entry.format}" for property "${propName}" (expected one of: ${RICH_TEXT_FORMATS.join(", ")})`,
+        );
+      }
+      const propType = dbMeta?.properties?.[propName]?.type;
+      if (propType && !RICH_TEXT_TYPES.has(propType)) {
+        throw new Error(
+          `Property "${propName}" is not a title or rich text property and cannot be formatted`,
+        );
+      }
+    }
+    if (entry.type && !COERCION_TYPES.has(entry.type)) {
+      throw new Error(
+        `Invalid type "${entry.type}" for property "${propName}" (expected one of: ${Array.from(COERCION_TYPES).join(", ")})`,
+      );
+    }
+    map.set(propName, entry);
+  }
+  return map;
+}
+
+// ---------- Query Filters and Sorts ----------
+const EQUALS_FILTER_TYPES = new Set([
+  "title",
+  "rich_text",
+  "url",
+  "email",
+  "phone_number",
+  "select",
+  "status",
+  "date",
+]);
+
+const CONTAINS_FILTER_TYPES = new Set(["multi_select", "relation", "people"]);
+
+function buildPropertyCondition(name, type, value) {
+  // YAML turns bare dates into Date objects
+  if (value instanceof Date) value = value.toISOString();
+
+  // A list of values matches any of them
+  if (Array.isArray(value)) {
+    return { or: value.map((v) => buildPropertyCondition(name, type, v)) };
+  }
+  // An object is a raw Notion condition, e.g. { on_or_after: "2025-01-01" }
+  if (value && typeof value === "object") {
+    return { property: name, [type]: value };
+  }
+  if (value === null) {
+    return { property: name, [type]: { is_empty: true } };
+  }
+
+  if (type === "checkbox") {
+    return { property: name, checkbox: { equals: !!value } };
+  }
+  if (type === "number") {
+    return { property: name, number: { equals: Number(value) } };
+  }
+  if (EQUALS_FILTER_TYPES.has(type)) {
+    return { property: name, [type]: { equals: String(value) } };
+  }
+  if (CONTAINS_FILTER_TYPES.has(type)) {
+    return { property: name, [type]: { contains: String(value) } };
+  }
+  throw new Error(
+    `Property "${name}" of type '${type}' cannot be used in 'where', use a raw 'filter' instead`,
+  );
+}
+
+function buildQueryFilter(dbConf, dbMeta) {
+  const conditions = [];
+  if (dbConf.filter) {
+    conditions.push(dbConf.filter);
+  }
+  for (const [name, value] of Object.entries(dbConf.where || {})) {
+    const prop = dbMeta?.properties?.[name];
+    if (!prop) {
+      throw new Error(`Unknown property "${name}" in 'where' database config`);
+    }
+    conditions.push(buildPropertyCondition(name, prop.type, value));
+  }
+
+  if (conditions.length === 0) return undefined;
+  if (conditions.length === 1) return conditions[0];
+  return { and: conditions };
+}
+
+function buildQuerySorts(sorts, dbMeta) {
+  if (!sorts) return undefined;
+  return (Array.isArray(sorts) ? sorts : [sorts]).map((sort) => {
+    if (typeof sort !== "string") return sort; // Raw Notion sort object
+
+    // "Name" sorts ascending, "-Name" descending
+    const descending = sort.startsWith("-");
+    const key = descending ? sort.slice(1) : sort;
+    const direction = descending ? "descending" : "ascending";
+    if (key === "created_time" || key === "last_edited_time") {
+      return { timestamp: key, direction };
+    }
+    if (!dbMeta?.properties?.[key]) {
+      throw new Error(`Unknown property "${key}" in 'sorts' database config`);
+    }
+    return { property: key, direction };
+  });
+}
+
+// ---------- Publishing Workflow ----------
+function normalizePublishConfig(publish, dbMeta) {
+  if (!publish) return null;
+
+  const conf = {
+    statusProperty: publish.statusProperty || "Status",
+    publishedStatuses: [].concat(publish.publishedStatuses || ["Published"]),
+    dateProperty: publish.dateProperty || null,
+    drafts: publish.drafts || "skip",
+  };
+
+  if (!["skip", "include"].includes(conf.drafts)) {
+    throw new Error(
+      `Invalid 'publish.drafts' value "${conf.drafts}" (expected "skip" or "include")`,
+    );
+  }
+  for (const key of ["statusProperty", "dateProperty"]) {
+    if (conf[key] && dbMeta?.properties && !dbMeta.properties[conf[key]]) {
+      throw new Error(
+        `Unknown property "${conf[key]}" in 'publish.${key}' database config`,
+      );
+    }
+  }
+  return conf;
+}
+
+function getPublishState(page, publishConf, now = new Date()) {
+  if (!publishConf) return { state: "published", publishAt: null };
+
+  const status = extractPropValue(
+    page.properties?.[publishConf.statusProperty],
+  );
+  const isPublished =
+    status === true || publishConf.publishedStatuses.includes(status);
+  if (!isPublished) return { state: "draft", publishAt: null };
+
+  if (publishConf.dateProperty) {
+    const date = parsePublishDate(
+      extractPropValue(page.properties?.[publishConf.dateProperty]),
+    );
+    if (date && date > now) {
+      return { state: "scheduled", publishAt: date.toISOString() };
+    }
+  }
+  return { state: "published", publishAt: null };
+}
+
+// A publish date without a time goes live at midnight where the export runs,
+// not at midnight UTC
+function parsePublishDate(value) {
+  if (!value) return null;
+  if (DATE_ONLY_RE.test(value)) {
+    const [year, month, day] = value.split("-").map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return new Date(value);
+}
+
+// ---------- Output Adapters ----------
+// Each adapter describes the content layout one static site generator expects
+const ADAPTERS = {
+  eleventy: {
+    requiredFields: ["srcDir", "basePath", "layout"],
+    extension: ".md",
+    publicDir: "src",
+    imagesDir: "src/images/notion",
+    filesDir: "src/files/notion",
+    contentDir: "src/{slug}",
+    permalinkKey: "permalink",
+    redirectsKey: "redirect_from",
+    draftFrontMatter: { draft: true, eleventyExcludeFromCollections: true },
+    frontMatter: ({ layout, title, permalink, pageId }) => ({
+      layout,
+      title,
+      permalink,
+      notionPageId: pageId,
+    }),
+  },
+  hugo: {
+    requiredFields: ["srcDir", "basePath"],
+    extension: ".md",
+    publicDir: "static",
+    imagesDir: "static/images/notion",
+    filesDir: "static/files/notion",
+    contentDir: "content/{slug}",
+    permalinkKey: "url",
+    redirectsKey: "aliases",
+    draftFrontMatter: { draft: true },
+    frontMatter: ({ layout, title, permalink, pageId }) => ({
+      title,
+      url: permalink,
+      ...(layout && { layout }),
+      notionPageId: pageId,
+    }),
+  },
+  jekyll: {
+    requiredFields: ["srcDir", "basePath"],
+    extension: ".md",
+    publicDir: ".",
+    imagesDir: "assets/images/notion",
+    filesDir: "assets/files/notion",
+    contentDir: "_{slug}",
+    permalinkKey: "permalink",
+    redirectsKey: "redirect_from",
+    draftFrontMatter: { published: false },
+    frontMatter: ({ layout, title, permalink, pageId }) => ({
+      ...(layout && { layout }),
+      title,
+      permalink,
+      notionPageId: pageId,
+    }),
+  },
+  astro: {
+    requiredFields: ["srcDir", "basePath"],
+    extension: ".md",
+    publicDir: "public",
+    imagesDir: "public/images/notion",
+    filesDir: "public/files/notion",
+    contentDir: "src/content/{slug}",
+    permalinkKey: null,
+    typedDates: true,
+    redirectsKey: "redirect_from",
+    draftFrontMatter: { draft: true },
+    frontMatter: ({ layout, title, slug, pageId }) => ({
+      title,
+      slug,
+      ...(layout && { layout }),
+      notionPageId: pageId,
+    }),
+  },
+  "nextjs-mdx": {
+    requiredFields: ["srcDir", "basePath"],
+    extension: ".mdx",
+    publicDir: "public",
+    imagesDir: "public/images/notion",
+    filesDir: "public/files/notion",
+    contentDir: "content/{slug}",
+    permalinkKey: "permalink",
+    redirectsKey: "redirect_from",
+    draftFrontMatter: { draft: true },
+    frontMatter: ({ title, slug, permalink, pageId }) => ({
+      title,
+      slug,
+      permalink,
+      notionPageId: pageId,
+    }),
+  },
+};
+
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Notion dates without a time are calendar days, not UTC midnight
+function toDate(value) {
+  return Object.assign(new Date(value), {
+    dateOnly: DATE_ONLY_RE.test(value),
+  });
+}
+
+const DATE_PROPERTY_TYPES = new Set([
+  "date",
+  "created_time",
+  "last_edited_time",
+]);
+
+function getAdapter(name = "eleventy") {
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(
+      `Unknown adapter "${name}" (expected one of: ${Object.keys(ADAPTERS).join(", ")})`,
+    );
+  }
+  return adapter;
+}
+
+// Content collections validate dates with z.date() and TOML has a date type:
+// emit native dates instead of strings
+function toTypedValue(dbCfg, prop, value) {
+  if (!dbCfg.typedDates || typeof value !== "string") return value;
+  const isDate =
+    DATE_PROPERTY_TYPES.has(prop.type) ||
+    (prop.type === "formula" && prop.formula?.type === "date");
+  return isDate ? toDate(value) : value;
+}
+
+// ---------- Database Configuration ----------
+function detectDbConfig(dbConf, dbMeta) {
+  const adapter = getAdapter(dbConf.adapter);
+  for (const field of adapter.requiredFields) {
+    if (!dbConf[field]) {
+      throw new Error(`Missing required field '${field}' in database config`);
+    }
+  }
+
+  const dir = path.join(process.cwd(), dbConf.srcDir);
+  const imagesDir = path.join(
+    process.cwd(),
+    dbConf.srcDirImages || adapter.imagesDir,
+  );
+  const filesDir = path.join(
+    process.cwd(),
+    dbConf.srcDirFiles || adapter.filesDir,
+  );
+  const publicDir = dbConf.publicDir || adapter.publicDir;
+  const serializeFrontMatter = getFrontMatterSerializer(
+    dbConf.frontMatterFormat,
+  );
+  // TOML has native dates; YAML and JSON keep Notion's ISO strings
+  const typedDates = adapter.typedDates || dbConf.frontMatterFormat === "toml";
+  const basePath = dbConf.basePath;
+  const layout = dbConf.layout;
+  const excludeProps = new Set(dbConf.excludeProperties || []);
+  const propertyMap = normalizePropertyMap(dbConf.properties, dbMeta);
+  const keyStyle = dbConf.keyStyle || null;
+  if (keyStyle && !KEY_STYLES[keyStyle]) {
+    throw new Error(
+      `Invalid 'keyStyle' value "${keyStyle}" (expected one of: ${Object.keys(KEY_STYLES).join(", ")})`,
+    );
+  }
+  const slugConf = {
+    ...(dbConf.slug || { from: "title", fallback: "id", lower: true }),
+    onCollision: dbConf.slug?.onCollision || "fail",
+  };
+  if (!SLUG_COLLISION_STRATEGIES.includes(slugConf.onCollision)) {
+    throw new Error(
+      `Invalid 'slug.onCollision' value "${slugConf.onCollision}" (expected one of: ${SLUG_COLLISION_STRATEGIES.join(", ")})`,
+    );
+  }
+  const valueOptions = {
+    dateRanges: dbConf.dateRanges === true,
+    people: dbConf.peopleFormat || "name",
+  };
+  if (!PEOPLE_FORMATS.includes(valueOptions.people)) {
+    throw new Error(
+      `Invalid 'peopleFormat' value "${valueOptions.people}" (expected one of: ${PEOPLE_FORMATS.join(", ")})`,
+    );
+  }
+  const richText = dbConf.richText || "plain";
+  if (!RICH_TEXT_FORMATS.includes(richText)) {
+    throw new Error(
+      `Invalid 'richText' value "${richText}" (expected one of: ${RICH_TEXT_FORMATS.join(", ")})`,
+    );
+  }
+  const permalinkTpl = dbConf.permalink || `${basePath}/{slug}/`;
+  const responsive = normalizeResponsiveConfig(dbConf.images);
+  const blocks = normalizeBlocksConfig(dbConf.blocks);
+  // Previous permalinks go to the front matter for redirect plugins
+  const redirectsKey = normalizeRedirectsConfig(dbConf.redirects).some(
+    (target) => target.format === "front-matter",
+  )
+    ? adapter.redirectsKey
+    : null;
+  const outputPathTpl = dbConf.outputPath || "{slug}";
+  const i18n = normalizeI18nConfig(dbConf.i18n, dbMeta);
+  const fmExtras = dbConf.frontMatter || {};
+  const cleanBeforeSync = dbConf.cleanBeforeSync !== false; // default true
+  const publishConf = normalizePublishConfig(dbConf.publish, dbMeta);
+  const query = {
+    filter: buildQueryFilter(dbConf, dbMeta),
+    sorts: buildQuerySorts(dbConf.sorts, dbMeta),
+  };
+  // Any config change invalidates the pages exported by an incremental sync
+  const configHash = hashConfig(dbConf);
+
+  return {
+    adapter,
+    dir,
+    imagesDir,
+    filesDir,
+    publicDir,
+    serializeFrontMatter,
+    typedDates,
+    basePath,
+    layout,
+    excludeProps,
+    propertyMap,
+    keyStyle,
+    richText,
+    valueOptions,
+    slugConf,
+    permalinkTpl,
+    outputPathTpl,
+    i18n,
+    redirectsKey,
+    responsive,
+    blocks,
+    fmExtras,
+    cleanBeforeSync,
+    publishConf,
+    query,
+    configHash,
+  };
+}
+
+// ---------- Slug and Permalink Generation ----------
+function buildSlug(page, slugConf, locale = undefined) {
+  let base = null;
+  if (slugConf.from === "title") {
+    base = getFirstTitleText(page);
+  } else if (slugConf.from === "id") {
+    base = page.id;
+  } else if (slugConf.from && page.properties?.[slugConf.from]) {
+    base = extractPropValue(page.properties[slugConf.from]);
+  }
+  if (!base || String(base).trim() === "") {
+    if (slugConf.fallback === "id") base = page.id;
+    else base = getFirstTitleText(page) || page.id;
+  }
+  return toSlug(String(base), { lower: slugConf.lower !== false, locale });
+}
+
+const DATE_PARTS_RE = /^(\d{4})-(\d{2})-(\d{2})/;
+
+const TEMPLATE_FILTERS = {
+  slug: (value, ctx) =>
+    toSlug(value, {
+      lower: ctx.slugConf.lower !== false,
+      locale: ctx.slugLocale,
+    }),
+  lower: (value) => value.toLowerCase(),
+  upper: (value) => value.toUpperCase(),
+  year: (value) => value.match(DATE_PARTS_RE)?.[1] || "",
+  month: (value) => value.match(DATE_PARTS_RE)?.[2] || "",
+  day: (value) => value.match(DATE_PARTS_RE)?.[3] || "",
+  date: (value) => value.match(DATE_PARTS_RE)?.[0] || "",
+};
+
+const BUILTIN_TEMPLATE_TOKENS = [
+  "slug",
+  "id",
+  "basePath",
+  "lang",
+  "title",
+  "created_time",
+  "last_edited_time",
+  "year",
+  "month",
+  "day",
+];
+
+// Raw value of a template token: built-in names first, then page properties
+function templateTokenValue(token, page, ctx) {
+  switch (token) {
+    case "slug":
+      return ctx.slug;
+    case "id":
+      return page.id.replace(/-/g, "");
+    case "basePath":
+      return ctx.basePath;
+    case "lang":
+      return ctx.lang;
+    case "title":
+      return getFirstTitleText(page);
+    case "created_time":
+      return page.created_time;
+    case "last_edited_time":
+      return page.last_edited_time;
+    case "year":
+    case "month":
+    case "day":
+      return TEMPLATE_FILTERS[token](String(ctx.date || ""));
+  }
+
+  const prop = page.properties?.[token];
+  if (!prop) {
+    throw new Error(
+      `Unknown template token "{${token}}": not a built-in token or a property of page ${page.id}`,
+    );
+  }
+  const value = extractPropValue(prop);
+  // Multi-value properties contribute their first value
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Tokens look like {slug}, {year} or {Category|slug|upper}; every occurrence
+// is replaced and empty values leave no doubled slashes behind
+function renderPathTemplate(tpl, page, ctx) {
+  return tpl
+    .replace(/\{([^{}|]+)((?:\|[^{}|]+)*)\}/g, (match, token, pipes) => {
+      let value = templateTokenValue(token.trim(), page, ctx);
+      value = value === null || value === undefined ? "" : String(value);
+      for (const name of pipes.split("|").slice(1)) {
+        const filter = TEMPLATE_FILTERS[name.trim()];
+        if (!filter) {
+          throw new Error(
+            `Unknown template filter "${name.trim()}" in "${match}" (expected one of: ${Object.keys(TEMPLATE_FILTERS).join(", ")})`,
+          );
+        }
+        value = filter(value, ctx);
+      }
+      return value;
+    })
+    .replace(/([^:]|^)\/{2,}/g, "$1/");
+}
+
+// {year}, {month} and {day} use the publish date when one is configured
+function templateDate(page, dbCfg) {
+  const dateProperty = dbCfg.publishConf?.dateProperty;
+  const date = dateProperty
+    ? extractPropValue(page.properties?.[dateProperty] || {})
+    : null;
+  return date || page.created_time;
+}
+
+function buildOutputPath(page, dbCfg, ctx) {
+  let relPath = renderPathTemplate(dbCfg.outputPathTpl, page, ctx).replace(
+    /^\/+/,
+    "",
+  );
+  // A trailing slash turns the page into the index of its own directory
+  if (relPath === "" || relPath.endsWith("/")) relPath += "index";
+  if (ctx.localeDir) relPath = `${ctx.localeDir}/${relPath}`;
+  const outPath = path.join(dbCfg.dir, relPath + dbCfg.adapter.extension);
+  if (path.relative(dbCfg.dir, outPath).startsWith("..")) {
+    throw new Error(
+      `Output path "${relPath}" of page ${page.id} is outside of ${dbCfg.dir}`,
+    );
+  }
+  return outPath;
+}
+
+// Permalinks set by hand may already start with the prefix
+function withLocalePrefix(url, locale) {
+  const prefix = locale?.prefix;
+  if (!url || !prefix || url === prefix || url.startsWith(`${prefix}/`)) {
+    return url;
+  }
+  return `${prefix}/${url}`.replace(/\/{2,}/g, "/");
+}
+
+// Where a database page is written and linked, shared by every later step
+function buildPageEntry(page, dbCfg, slug = undefined) {
+  const locale = dbCfg.i18n ? getPageLocale(page, dbCfg.i18n) : null;
+  if (slug === undefined) {
+    slug = buildSlug(page, dbCfg.slugConf, locale?.slugLocale);
+  }
+  const ctx = {
+    slug,
+    basePath: dbCfg.basePath,
+    slugConf: dbCfg.slugConf,
+    date: templateDate(page, dbCfg),
+    lang: locale?.code || "",
+    slugLocale: locale?.slugLocale,
+    localeDir: locale?.dir,
+  };
+  let permalink = renderPathTemplate(dbCfg.permalinkTpl, page, ctx);
+  if (locale?.prefix) {
+    permalink = `${locale.prefix}/${permalink}`.replace(/\/{2,}/g, "/");
+  }
+
+  // A 'permalink' property in Notion overrides the generated URL, in the
+  // page's locale like any other
+  const permalinkProp = page.properties?.permalink;
+  if (permalinkProp) {
+    const permalinkValue = withLocalePrefix(
+      extractPropValue(permalinkProp),
+      locale,
+    );
+    if (permalinkValue && permalinkValue !== permalink) {
+      log(
+        `  → Overriding permalink with value from 'permalink' property: ${permalinkValue}`,
+      );
+      permalink = permalinkValue;
+    }
+  }
+
+  return {
+    id: page.id,
+    title: getFirstTitleText(page) || slug,
+    slug,
+    permalink,
+    outPath: buildOutputPath(page, dbCfg, ctx),
+    ...(locale && { lang: locale.code }),
+  };
+}
+
+// ---------- Slug Collisions ----------
+const SLUG_COLLISION_STRATEGIES = ["fail", "id", "counter"];
+
+// Pages sharing an output file or a permalink, across all databases and trees
+function findSlugCollisions(pageMap) {
+  const groups = new Map();
+  for (const [key, entry] of pageMap) {
+    for (const field of ["outPath", "permalink"]) {
+      const groupKey = `${field}:${entry[field]}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { field, value: entry[field], keys: [] });
+      }
+      groups.get(groupKey).keys.push(key);
+    }
+  }
+  return [...groups.values()].filter((group) => group.keys.length > 1);
+}
+
+function byCreatedTime(a, b) {
+  return (
+    String(a.page.created_time || "").localeCompare(
+      String(b.page.created_time || ""),
+    ) || a.key.localeCompare(b.key)
+  );
+}
+
+/**
+ * The oldest page of each collision keeps its slug; the others are renamed
+ * following the 'slug.onCollision' strategy of their database, or reported
+ * all at once when that strategy is "fail".
+ */
+function resolveSlugCollisions(sources, pageMap) {
+  const collisions = findSlugCollisions(pageMap);
+  if (collisions.length === 0) return;
+
+  const owners = new Map();
+  for (const source of sources.values()) {
+    for (const page of source.pages) {
+      const key = page.id.replace(/-/g, "");
+      owners.set(key, { key, page, source });
+    }
+  }
+  const taken = new Set();
+  for (const entry of pageMap.values()) {
+    taken.add(`outPath:${entry.outPath}`);
+    taken.add(`permalink:${entry.permalink}`);
+  }
+
+  // A tree is rebuilt as a whole: the new slug also moves the sub-pages
+  const rebuild = ({ key, page, source }, slug) => {
+    if (!source.tree) {
+      return new Map([[key, buildPageEntry(page, source.dbCfg, slug)]]);
+    }
+    const overrides = new Map(source.slugOverrides);
+    overrides.set(key, slug);
+    return buildTreeEntries(source.nodes, source.dbCfg, overrides);
+  };
+
+  // Every path the renamed page (or the sub-pages it moves) takes must be free
+  const isFree = (candidate) =>
+    [...candidate].every(([key, renamed]) =>
+      ["outPath", "permalink"].every(
+        (field) =>
+          renamed[field] === pageMap.get(key)[field] ||
+          !taken.has(`${field}:${renamed[field]}`),
+      ),
+    );
+
+  const failures = new Map();
+  for (const { field, value, keys } of collisions) {
+    const [, ...others] = keys
+      .map((key) => owners.get(key))
+      .sort(byCreatedTime);
+    for (const owner of others) {
+      const entry = pageMap.get(owner.key);
+      // Already renamed or reported because of another collision
+      if (entry[field] !== value || failures.has(owner.key)) continue;
+
+      const strategy = owner.source.dbCfg.slugConf.onCollision;
+      let entries = null;
+      if (strategy === "id") {
+        const candidate = rebuild(
+          owner,
+          `${entry.slug}-${owner.key.slice(0, 8)}`,
+        );
+        if (candidate.get(owner.key)[field] !== value && isFree(candidate)) {
+          entries = candidate;
+        }
+      } else if (strategy === "counter") {
+        for (let n = 2; !entries; n++) {
+          const candidate = rebuild(owner, `${entry.slug}-${n}`);
+          // The slug is not part of this path: no counter can help
+          if (candidate.get(owner.key)[field] === value) break;
+          if (isFree(candidate)) entries = candidate;
+        }
+      }
+
+      if (!entries) {
+        failures.set(owner.key, { field, value, owner });
+        continue;
+      }
+      if (owner.source.tree) {
+        owner.source.slugOverrides.set(owner.key, entries.get(owner.key).slug);
+      }
+      for (const [key, renamed] of entries) {
+        pageMap.set(key, renamed);
+        taken.add(`outPath:${renamed.outPath}`);
+        taken.add(`permalink:${renamed.permalink}`);
+      }
+      log(
+        `  → Slug collision: "${entry.title}" renamed to ${entries.get(owner.key).slug}`,
+      );
+    }
+  }
+
+  if (failures.size > 0) {
+    const lines = [...failures.values()].map(({ field, value, owner }) => {
+      const shown =
+        field === "outPath" ? path.relative(process.cwd(), value) : value;
+      return `  - ${shown}: "${pageMap.get(owner.key).title}" (${owner.page.id})`;
+    });
+    throw new Error(
+      `Slug collisions found (set 'slug.onCollision' to "id" or "counter" to de-duplicate):\n${lines.join("\n")}`,
+    );
+  }
+}
+
+// ---------- Internationalization ----------
+/**
+ * Normalizes the 'i18n' block. Locales are a list of codes or an object of
+ * code → { dir, prefix, values, slugLocale }; pages in the default locale
+ * get no directory and prefix unless prefixDefaultLocale is set.
+ */
+function normalizeI18nConfig(i18n, dbMeta) {
+  if (!i18n) return null;
+  const localeConfs = Array.isArray(i18n.locales)
+    ? Object.fromEntries(i18n.locales.map((code) => [code, {}]))
+    : i18n.locales || {};
+  const codes = Object.keys(localeConfs);
+  if (codes.length === 0) {
+    throw new Error(
+      "Missing 'i18n.locales' in database config (expected a list of locale codes, e.g. [en, fr])",
+    );
+  }
+  const defaultLocale = i18n.defaultLocale || codes[0];
+  if (!codes.includes(defaultLocale)) {
+    throw new Error(
+      `Invalid 'i18n.defaultLocale' value "${defaultLocale}" (expected one of: ${codes.join(", ")})`,
+    );
+  }
+
+  const property = i18n.property || "Language";
+  if (dbMeta?.properties && !dbMeta.properties[property]) {
+    throw new Error(
+      `Unknown property "${property}" in 'i18n.property' database config`,
+    );
+  }
+  // The default relation is optional, a configured one must exist
+  let translationOf = i18n.translationOf ?? "Translation Of";
+  const relation = dbMeta?.properties?.[translationOf];
+  if (dbMeta?.properties && !relation) {
+    if (i18n.translationOf) {
+      throw new Error(
+        `Unknown property "${translationOf}" in 'i18n.translationOf' database config`,
+      );
+    }
+    translationOf = null;
+  } else if (relation && relation.type !== "relation") {
+    throw new Error(
+      `Property "${translationOf}" in 'i18n.translationOf' is not a relation`,
+    );
+  }
+
+  const locales = codes.map((code) => {
+    const conf = localeConfs[code] || {};
+    const unprefixed = code === defaultLocale && !i18n.prefixDefaultLocale;
+    return {
+      code,
+      dir: conf.dir ?? (unprefixed ? "" : code),
+      prefix: conf.prefix ?? (unprefixed ? "" : `/${code}`),
+      // Language values naming this locale, e.g. "fr" or "Français"
+      values: [code, ...(conf.values || [])].map((value) =>
+        String(value).trim().toLowerCase(),
+      ),
+      slugLocale: conf.slugLocale || code,
+    };
+  });
+  return { property, translationOf, defaultLocale, locales };
+}
+
+function getPageLocale(page, i18n) {
+  let value = extractPropValue(page.properties?.[i18n.property]);
+  if (Array.isArray(value)) value = value[0];
+  if (isEmptyValue(value)) {
+    return i18n.locales.find((locale) => locale.code === i18n.defaultLocale);
+  }
+  const locale = i18n.locales.find((candidate) =>
+    candidate.values.includes(String(value).trim().toLowerCase()),
+  );
+  if (!locale) {
+    throw new Error(
+      `Unknown language "${value}" in property "${i18n.property}" of page ${page.id} (expected one of: ${i18n.locales.map((l) => l.code).join(", ")})`,
+    );
+  }
+  return locale;
+}
+
+/**
+ * Groups pages linked by their translation relation, across databases. A
+ * group is keyed by the original page (the one without a relation), even
+ * when that page itself is not exported; every page lists the others.
+ */
+function linkTranslations(sources, pageMap) {
+  const originalOf = new Map();
+  for (const source of sources.values()) {
+    const i18n = source.dbCfg.i18n;
+    if (!i18n || source.tree) continue;
+    for (const page of source.pages) {
+      const related = i18n.translationOf
+        ? normalizeRelation(page.properties?.[i18n.translationOf]?.relation)
+        : [];
+      originalOf.set(
+        page.id.replace(/-/g, ""),
+        related[0] ? related[0].replace(/-/g, "") : null,
+      );
+    }
+  }
+
+  const groups = new Map();
+  for (const key of originalOf.keys()) {
+    let root = key;
+    const seen = new Set([key]);
+    while (originalOf.get(root) && !seen.has(originalOf.get(root))) {
+      root = originalOf.get(root);
+      seen.add(root);
+    }
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(key);
+  }
+
+  for (const [translationKey, keys] of groups) {
+    const members = keys
+      .map((key) => ({ key, entry: pageMap.get(key) }))
+      .filter(({ entry }) => entry?.lang)
+      .sort((a, b) => a.entry.lang.localeCompare(b.entry.lang));
+    for (const { key, entry } of members) {
+      entry.translationKey = translationKey;
+      entry.translations = members
+        .filter((member) => member.key !== key)
+        .map((member) => ({
+          key: member.key,
+          lang: member.entry.lang,
+          permalink: member.entry.permalink,
+        }));
+    }
+  }
+}
+
+// ---------- Redirects ----------
+const REDIRECT_FORMATS = {
+  netlify: { path: "_redirects", render: renderRedirectsFile },
+  cloudflare: { path: "_redirects", render: renderRedirectsFile },
+  vercel: { path: "vercel.redirects.json", render: renderVercelRedirects },
+  nginx: { path: "redirects.map", render: renderNginxMap },
+  "front-matter": { path: null, render: null },
+};
+
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+
+// Accepts "netlify", ["netlify", "front-matter"] or { format, path, status }
+function normalizeRedirectsConfig(redirects) {
+  if (!redirects) return [];
+  const targets = Array.isArray(redirects) ? redirects : [redirects];
+  return targets.map((target) => {
+    const conf = typeof target === "string" ? { format: target } : target;
+    const format = REDIRECT_FORMATS[conf.format];
+    if (!format) {
+      throw new Error(
+        `Unknown redirects format "${conf.format}" (expected one of: ${Object.keys(REDIRECT_FORMATS).join(", ")})`,
+      );
+    }
+    const status = conf.status || 301;
+    if (!REDIRECT_STATUSES.includes(status)) {
+      throw new Error(
+        `Invalid redirects status ${status} (expected one of: ${REDIRECT_STATUSES.join(", ")})`,
+      );
+    }
+    return {
+      format: conf.format,
+      path: conf.path || format.path,
+      status,
+      render: format.render,
+    };
+  });
+}
+
+// Every permalink a page had before, oldest first, without the current one
+function permalinkHistory(prev, permalink) {
+  const history = [...(prev?.previousPermalinks || [])];
+  if (prev?.permalink) history.push(prev.permalink);
+  return [...new Set(history)].filter((url) => url !== permalink);
+}
+
+// Old URLs that another page uses now are live again: never redirect them
+function collectRedirects(manifestPages) {
+  const entries = Object.values(manifestPages);
+  const live = new Set(entries.map((entry) => entry.permalink));
+  const redirects = new Map();
+  for (const entry of entries) {
+    for (const from of entry.previousPermalinks || []) {
+      if (!live.has(from) && !redirects.has(from)) {
+        redirects.set(from, entry.permalink);
+      }
+    }
+  }
+  return [...redirects]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([from, to]) => ({ from, to }));
+}
+
+const REDIRECTS_HEADER =
+  "Generated by notion-to-ssg from renamed Notion pages, do not edit";
+
+// Netlify and Cloudflare Pages share the _redirects syntax
+function renderRedirectsFile(redirects, status) {
+  const lines = redirects.map(({ from, to }) => `${from} ${to} ${status}`);
+  return `# ${REDIRECTS_HEADER}\n${lines.map((line) => `${line}\n`).join("")}`;
+}
+
+// To be merged into the "redirects" of vercel.json
+function renderVercelRedirects(redirects, status) {
+  const permanent = status === 301 || status === 308;
+  const rules = redirects.map(({ from, to }) => ({
+    source: from,
+    destination: to,
+    permanent,
+  }));
+  return `${JSON.stringify({ redirects: rules }, null, 2)}\n`;
+}
+
+// Include inside a map block: map $uri $redirect_uri { include redirects.map; }
+function renderNginxMap(redirects) {
+  const lines = redirects.map(({ from, to }) => `${from} ${to};`);
+  return `# ${REDIRECTS_HEADER}\n${lines.map((line) => `${line}\n`).join("")}`;
+}
+
+function writeRedirectFiles(targets, manifestPages, plan) {
+  const redirects = collectRedirects(manifestPages);
+  for (const target of targets) {
+    if (!target.render) continue;
+    const content = target.render(redirects, target.status);
+    if (plan) {
+      planPageWrite(plan, {
+        databaseId: null,
+        pageId: null,
+        outputPath: target.path,
+        content,
+      });
+      continue;
+    }
+    const filePath = path.resolve(process.cwd(), target.path);
+    if (readFileIfExists(target.path) === content) continue;
+    ensureDir(path.dirname(filePath));
+    fs.writeFileSync(filePath, content, "utf8");
+    log(`↪️  Wrote ${redirects.length} redirect(s) to ${target.path}`);
+  }
+}
+
+// ---------- Front Matter Serialization ----------
+function toFrontMatterYaml(obj) {
+  return `---
+${yaml.dump(obj)}---
+`;
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date)
+  );
+}
+
+function tomlKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+function tomlValue(value) {
+  if (value instanceof Date) {
+    // Local dates keep their day in every timezone
+    return value.dateOnly
+      ? value.toISOString().slice(0, 10)
+      : value.toISOString();
+  }
+  if (typeof value === "number") {
+    if (Number.isNaN(value)) return "nan";
+    if (!Number.isFinite(value)) return value > 0 ? "inf" : "-inf";
+    return String(value);
+  }
+  if (typeof value === "boolean") return String(value);
+  // TOML has no null: drop empty entries from arrays and inline tables
+  if (Array.isArray(value)) {
+    const items = value.filter((v) => v !== null && v !== undefined);
+    return `[${items.map(tomlValue).join(", ")}]`;
+  }
+  if (isPlainObject(value)) {
+    const pairs = Object.entries(value)
+      .filter(([, v]) => v !== null && v !== undefined)
+      .map(([k, v]) => `${tomlKey(k)} = ${tomlValue(v)}`);
+    return `{ ${pairs.join(", ")} }`;
+  }
+  // JSON string escapes are valid in TOML basic strings
+  return JSON.stringify(String(value));
+}
+
+function toTomlTable(obj, tablePath = []) {
+  const lines = [];
+  const tables = [];
+  for (const [key, value] of Object.entries(obj)) {
+    if (value === null || value === undefined) continue;
+    if (isPlainObject(value)) {
+      tables.push([key, value]);
+    } else {
+      lines.push(`${tomlKey(key)} = ${tomlValue(value)}`);
+    }
+  }
+  // Sub-tables must come after all key/value pairs of their parent
+  for (const [key, value] of tables) {
+    const subPath = [...tablePath, tomlKey(key)];
+    lines.push("", `[${subPath.join(".")}]`, ...toTomlTable(value, subPath));
+  }
+  return lines;
+}
+
+function toFrontMatterToml(obj) {
+  return `+++
+${toTomlTable(obj).join("\n")}
++++
+`;
+}
+
+// JSON front matter without the outer braces, closed by ';;;' (Hexo style)
+function toFrontMatterJson(obj) {
+  const body = JSON.stringify(obj, null, 2)
+    .split("\n")
+    .slice(1, -1)
+    .map((line) => line.replace(/^ {2}/, ""))
+    .join("\n");
+  return `;;;
+${body}
+;;;
+`;
+}
+
+const FRONT_MATTER_FORMATS = {
+  yaml: toFrontMatterYaml,
+  toml: toFrontMatterToml,
+  json: toFrontMatterJson,
+};
+
+function getFrontMatterSerializer(format = "yaml") {
+  const serializer = FRONT_MATTER_FORMATS[format];
+  if (!serializer) {
+    throw new Error(
+      `Unknown frontMatterFormat "${format}" (expected one of: ${Object.keys(FRONT_MATTER_FORMATS).join(", ")})`,
+    );
+  }
+  return serializer;
+}
+
+// ---------- Block Templates ----------
+// Values a block template can use, e.g. "{% callout {color|json} %}{children}{% endcallout %}"
+const BLOCK_TEMPLATE_TOKENS = [
+  "type",
+  "id",
+  "content",
+  "text",
+  "children",
+  "caption",
+  "url",
+  "icon",
+  "color",
+  "language",
+  "checked",
+  "provider",
+  "videoId",
+];
+
+const BLOCK_TEMPLATE_FILTERS = {
+  lower: (value) => value.toLowerCase(),
+  upper: (value) => value.toUpperCase(),
+  slug: (value) => toSlug(value),
+  json: (value) => JSON.stringify(value),
+  escape: (value) => escapeHtmlAttribute(value),
+};
+
+// No spaces inside the braces and no doubled braces, so {% shortcodes %}
+// and {{ variables }} (spaced or not) are left alone
+const BLOCK_TOKEN_RE = /(?<!\{)\{(\w+)((?:\|\w+)*)\}(?!\})/g;
+
+function normalizeBlocksConfig(blocks) {
+  if (blocks === undefined || blocks === null) return {};
+  if (typeof blocks !== "object" || Array.isArray(blocks)) {
+    throw new Error(
+      "Invalid 'blocks' value (expected an object of block types and templates)",
+    );
+  }
+
+  for (const [type, transform] of Object.entries(blocks)) {
+    if (typeof transform === "function") continue;
+    if (typeof transform !== "string") {
+      throw new Error(
+        `Invalid 'blocks.${type}' value (expected a template string or a function)`,
+      );
+    }
+    for (const [match, token, pipes] of transform.matchAll(BLOCK_TOKEN_RE)) {
+      if (!BLOCK_TEMPLATE_TOKENS.includes(token)) {
+        throw new Error(
+          `Unknown template token "${match}" in 'blocks.${type}' (expected one of: ${BLOCK_TEMPLATE_TOKENS.join(", ")})`,
+        );
+      }
+      for (const name of pipes.split("|").slice(1)) {
+        if (!BLOCK_TEMPLATE_FILTERS[name]) {
+          throw new Error(
+            `Unknown template filter "${name}" in 'blocks.${type}' (expected one of: ${Object.keys(BLOCK_TEMPLATE_FILTERS).join(", ")})`,
+          );
+        }
+      }
+    }
+  }
+  return blocks;
+}
+
+function parseVideoUrl(url) {
+  const youtube = url.match(
+    /(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|live\/)|youtu\.be\/)([\w-]{11})/,
+  );
+  if (youtube) return { provider: "youtube", videoId: youtube[1] };
+  const vimeo = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+  if (vimeo) return { provider: "vimeo", videoId: vimeo[1] };
+  return { provider: "", videoId: "" };
+}
+
+// notion-to-md writes toggles through their children, which templated
+// blocks don't have: treat them like any other block
+function showTemplatedToggles(mdBlocks, converter) {
+  if (!converter.customTransformers.toggle) return mdBlocks;
+  for (const block of mdBlocks) {
+    if (block.type === "toggle") block.type = "paragraph";
+    showTemplatedToggles(block.children, converter);
+  }
+  return mdBlocks;
+}
+
+// Children of templated blocks, listed once before notion-to-md renders them
+const templatedBlockChildren = new WeakMap();
+
+// notion-to-md lists the children of every block before rendering it, but
+// never hands them to custom transformers: list them here instead, and hide
+// them from notion-to-md so it doesn't list them a second time
+function listTemplatedBlockChildren(converter, types) {
+  if (types.size === 0) return;
+  const blocksToMarkdown = converter.blocksToMarkdown.bind(converter);
+  converter.blocksToMarkdown = async (blocks, ...rest) => {
+    const prepared = [];
+    for (const block of blocks || []) {
+      if (!block?.has_children || !types.has(block.type)) {
+        prepared.push(block);
+        continue;
+      }
+      const data = block[block.type] || {};
+      const childBlocks = await fetchBlockChildren(
+        converter.notionClient,
+        data.synced_from?.block_id || block.id,
+      );
+      // Numbered like notion-to-md numbers the lists it fetches
+      let number = 0;
+      for (const child of childBlocks) {
+        if (child.type === "numbered_list_item") {
+          child.numbered_list_item.number = ++number;
+        } else {
+          number = 0;
+        }
+      }
+      const listed = { ...block, has_children: false };
+      templatedBlockChildren.set(listed, { block, childBlocks });
+      prepared.push(listed);
+    }
+    return blocksToMarkdown(prepared, ...rest);
+  };
+}
+
+async function blockTemplateValues(block, childBlocks, converter) {
+  const data = block[block.type] || {};
+  const richText = data.rich_text || data.text || [];
+  const url = data.url || data.external?.url || data.file?.url || "";
+
+  // notion-to-md skips the children of blocks it doesn't render itself
+  let children = "";
+  if (childBlocks.length > 0) {
+    const mdBlocks = showTemplatedToggles(
+      await converter.blocksToMarkdown(childBlocks),
+      converter,
+    );
+    children = (converter.toMarkdownString(mdBlocks).parent || "").trim();
+  }
+
+  return {
+    type: block.type,
+    id: block.id.replace(/-/g, ""),
+    content: renderRichText(richText, "markdown"),
+    text: richText.map((item) => item.plain_text).join(""),
+    children,
+    caption: (data.caption || []).map((item) => item.plain_text).join(""),
+    url,
+    icon:
+      data.icon?.emoji ||
+      data.icon?.external?.url ||
+      data.icon?.file?.url ||
+      "",
+    color: data.color || "",
+    language: data.language || "",
+    checked: Boolean(data.checked),
+    ...parseVideoUrl(url),
+  };
+}
+
+function renderBlockTemplate(template, values) {
+  return template
+    .replace(BLOCK_TOKEN_RE, (match, token, pipes) => {
+      let value = String(values[token]);
+      for (const name of pipes.split("|").slice(1)) {
+        value = BLOCK_TEMPLATE_FILTERS[name](value);
+      }
+      return value;
+    })
+    .replace(/\n+$/, "");
+}
+
+// Hooks get the Notion block and the template values; returning anything
+// but a string keeps notion-to-md's own rendering, done by a converter with
+// every other template (notion-to-md only renders the children of blocks it
+// has no transformer for, and lists them again)
+function setBlockTransformers(converter, blocks, create) {
+  listTemplatedBlockChildren(converter, new Set(Object.keys(blocks)));
+  for (const [type, transform] of Object.entries(blocks)) {
+    let fallback = null;
+    converter.setCustomTransformer(type, async (listed) => {
+      const { block, childBlocks } = templatedBlockChildren.get(listed) || {
+        block: listed,
+        childBlocks: [],
+      };
+      const values = await blockTemplateValues(block, childBlocks, converter);
+      if (typeof transform === "string") {
+        return renderBlockTemplate(transform, values);
+      }
+
+      const result = await transform(block, values);
+      if (typeof result === "string") return result;
+      if (!fallback) {
+        const { [type]: _, ...otherBlocks } = blocks;
+        fallback = create(otherBlocks);
+      }
+      const mdBlocks = showTemplatedToggles(
+        await fallback.blocksToMarkdown([block]),
+        fallback,
+      );
+      return (fallback.toMarkdownString(mdBlocks).parent || "").trim();
+    });
+  }
+}
+
+function createConverter(notion, blocks = {}, tree = false) {
+  const create = (templates) => {
+    const converter = new NotionToMarkdown({ notionClient: notion });
+    converter.setCustomTransformer("audio", audioBlockToMarkdown);
+    // Every sub-page of a tree is exported on its own: don't convert it inline
+    if (tree) converter.setCustomTransformer("child_page", () => "");
+    setBlockTransformers(converter, templates, create);
+    return converter;
+  };
+  return create(blocks);
+}
+
+// ---------- Config Validation ----------
+// Descriptors are a type name ("string", "boolean", "number", "integer",
+// "object", "array", "function" or "any"), { enum }, { type, properties,
+// values, items } for nested values, or a list of alternatives
+const PROPERTY_MAPPING_SCHEMA = [
+  "string",
+  {
+    type: "object",
+    properties: {
+      name: "string",
+      type: { enum: [...COERCION_TYPES] },
+      default: "any",
+      resolve: ["boolean", { enum: [...RELATION_FIELDS] }],
+      format: { enum: RICH_TEXT_FORMATS },
+    },
+  },
+];
+
+const REDIRECT_TARGET_SCHEMA = [
+  { enum: Object.keys(REDIRECT_FORMATS) },
+  {
+    type: "object",
+    properties: {
+      format: { enum: Object.keys(REDIRECT_FORMATS) },
+      path: "string",
+      status: { enum: REDIRECT_STATUSES },
+    },
+  },
+];
+
+const SHARED_SOURCE_SCHEMA = {
+  adapter: { enum: Object.keys(ADAPTERS) },
+  srcDir: "string",
+  srcDirImages: "string",
+  srcDirFiles: "string",
+  publicDir: "string",
+  basePath: "string",
+  layout: "string",
+  cleanBeforeSync: "boolean",
+  excludeProperties: { type: "array", items: "string" },
+  slug: {
+    type: "object",
+    properties: {
+      from: "string",
+      fallback: "string",
+      lower: "boolean",
+      onCollision: { enum: SLUG_COLLISION_STRATEGIES },
+    },
+  },
+  permalink: "string",
+  outputPath: "string",
+  frontMatter: "object",
+  frontMatterFormat: { enum: Object.keys(FRONT_MATTER_FORMATS) },
+  keyStyle: { enum: Object.keys(KEY_STYLES) },
+  properties: { type: "object", values: PROPERTY_MAPPING_SCHEMA },
+  richText: { enum: RICH_TEXT_FORMATS },
+  dateRanges: "boolean",
+  peopleFormat: { enum: PEOPLE_FORMATS },
+  publish: {
+    type: "object",
+    properties: {
+      statusProperty: "string",
+      publishedStatuses: ["string", { type: "array", items: "string" }],
+      dateProperty: "string",
+      drafts: { enum: ["skip", "include"] },
+    },
+  },
+  i18n: {
+    type: "object",
+    properties: {
+      property: "string",
+      translationOf: "string",
+      defaultLocale: "string",
+      prefixDefaultLocale: "boolean",
+      locales: [
+        { type: "array", items: "string" },
+        {
+          type: "object",
+          values: [
+            "null",
+            {
+              type: "object",
+              properties: {
+                dir: "string",
+                prefix: "string",
+                values: { type: "array", items: "string" },
+                slugLocale: "string",
+              },
+            },
+          ],
+        },
+      ],
+    },
+  },
+  images: {
+    type: "object",
+    properties: {
+      responsive: [
+        "boolean",
+        {
+          type: "object",
+          properties: {
+            widths: { type: "array", items: "integer" },
+            formats: {
+              type: "array",
+              items: { enum: Object.keys(RESPONSIVE_FORMATS) },
+            },
+            quality: "integer",
+            sizes: "string",
+            markup: { enum: RESPONSIVE_MARKUPS },
+          },
+        },
+      ],
+    },
+  },
+  blocks: { type: "object", values: ["string", "function"] },
+};
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    $schema: "string",
+    databases: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          ...SHARED_SOURCE_SCHEMA,
+          databaseId: "string",
+          where: "object",
+          filter: "object",
+          sorts: [
+            "string",
+            "object",
+            { type: "array", items: ["string", "object"] },
+          ],
+        },
+      },
+    },
+    pages: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { ...SHARED_SOURCE_SCHEMA, rootPageId: "string" },
+      },
+    },
+    adapter: SHARED_SOURCE_SCHEMA.adapter,
+    images: SHARED_SOURCE_SCHEMA.images,
+    // Redirect files cover every database: a top-level setting only
+    redirects: [
+      ...REDIRECT_TARGET_SCHEMA,
+      { type: "array", items: REDIRECT_TARGET_SCHEMA },
+    ],
+    blocks: SHARED_SOURCE_SCHEMA.blocks,
+    richText: SHARED_SOURCE_SCHEMA.richText,
+    manifestPath: "string",
+    concurrency: "integer",
+    requestsPerSecond: "number",
+    downloads: {
+      type: "object",
+      properties: {
+        connectTimeout: "integer",
+        timeout: "integer",
+        maxSize: "integer",
+        retries: "integer",
+        maxRedirects: "integer",
+      },
+    },
+  },
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  boolean: "true or false",
+  number: "a number",
+  integer: "an integer",
+  object: "an object",
+  array: "a list",
+  function: "a function",
+  null: "empty",
+};
+
+function matchesDescriptor(value, descriptor) {
+  if (typeof descriptor === "object" && descriptor.enum) {
+    return descriptor.enum.includes(value);
+  }
+  const type = typeof descriptor === "string" ? descriptor : descriptor.type;
+  switch (type) {
+    case "any":
+      return true;
+    case "string":
+    case "boolean":
+    case "function":
+      return typeof value === type;
+    case "number":
+      return typeof value === "number" && !Number.isNaN(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    case "null":
+      return value === null || value === undefined;
+    default:
+      return false;
+  }
+}
+
+function describeDescriptor(descriptor) {
+  if (typeof descriptor === "object" && descriptor.enum) {
+    return `one of: ${descriptor.enum.join(", ")}`;
+  }
+  return TYPE_NAMES[
+    typeof descriptor === "string" ? descriptor : descriptor.type
+  ];
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+// " (did you mean "excludeProperties"?)" for near misses, otherwise ""
+function didYouMean(name, candidates) {
+  const lower = String(name).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best && bestDistance <= Math.max(2, Math.floor(lower.length / 3))
+    ? ` (did you mean "${best}"?)`
+    : "";
+}
 
-  const dir = path.join(process.cwd(), dbConf.srcDir);
-  const imagesDir = path.join(
-    process.cwd(),
-    dbConf.srcDirImages || "src/images/notion",
+function checkValue(value, descriptor, valuePath, problems) {
+  const alternatives = Array.isArray(descriptor) ? descriptor : [descriptor];
+  const match = alternatives.find((alt) => matchesDescriptor(value, alt));
+  if (!match) {
+    const shown =
+      typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+    problems.push({
+      path: valuePath,
+      message: `Invalid value ${shown} (expected ${alternatives.map(describeDescriptor).join(" or ")})`,
+    });
+    return;
+  }
+  if (typeof match !== "object") return;
+
+  const join = (key) => (valuePath ? `${valuePath}.${key}` : key);
+  if (match.properties) {
+    const known = Object.keys(match.properties);
+    for (const [key, child] of Object.entries(value)) {
+      if (!match.properties[key]) {
+        problems.push({
+          path: join(key),
+          message: `Unknown key "${key}"${didYouMean(key, known)}`,
+        });
+      } else if (child !== undefined) {
+        checkValue(child, match.properties[key], join(key), problems);
+      }
+    }
+  }
+  if (match.values) {
+    for (const [key, child] of Object.entries(value)) {
+      checkValue(child, match.values, join(key), problems);
+    }
+  }
+  if (match.items) {
+    value.forEach((item, index) =>
+      checkValue(item, match.items, `${valuePath}[${index}]`, problems),
+    );
+  }
+}
+
+// Property names used by a database config that its Notion schema lacks
+function checkDatabaseProperties(dbConf, dbMeta, sourcePath, problems) {
+  const names = Object.keys(dbMeta.properties || {});
+  const check = (name, valuePath) => {
+    if (typeof name !== "string" || dbMeta.properties[name]) return;
+    problems.push({
+      path: `${sourcePath}.${valuePath}`,
+      message: `Unknown property "${name}"${didYouMean(name, names)}`,
+    });
+  };
+
+  (dbConf.excludeProperties || []).forEach((name, i) =>
+    check(name, `excludeProperties[${i}]`),
   );
-  const basePath = dbConf.basePath;
-  const layout = dbConf.layout;
-  const excludeProps = new Set(dbConf.excludeProperties || []);
-  const slugConf = dbConf.slug || {
-    from: "title",
-    fallback: "id",
-    lower: true,
+  const slugFrom = dbConf.slug?.from;
+  if (slugFrom && slugFrom !== "title" && slugFrom !== "id") {
+    check(slugFrom, "slug.from");
+  }
+  for (const name of Object.keys(dbConf.where || {})) {
+    check(name, `where.${name}`);
+  }
+  const sorts = [].concat(dbConf.sorts || []);
+  sorts.forEach((sort, i) => {
+    if (typeof sort !== "string") return;
+    const name = sort.replace(/^-/, "");
+    if (name === "created_time" || name === "last_edited_time") return;
+    check(name, Array.isArray(dbConf.sorts) ? `sorts[${i}]` : "sorts");
+  });
+  for (const name of Object.keys(dbConf.properties || {})) {
+    check(name, `properties.${name}`);
+  }
+  if (dbConf.publish) {
+    check(dbConf.publish.statusProperty || "Status", "publish.statusProperty");
+    if (dbConf.publish.dateProperty) {
+      check(dbConf.publish.dateProperty, "publish.dateProperty");
+    }
+  }
+  if (dbConf.i18n) {
+    check(dbConf.i18n.property || "Language", "i18n.property");
+    if (dbConf.i18n.translationOf) {
+      check(dbConf.i18n.translationOf, "i18n.translationOf");
+    }
+  }
+
+  // Template tokens are resolved per page, long after the export started
+  for (const key of ["permalink", "outputPath"]) {
+    if (typeof dbConf[key] !== "string") continue;
+    for (const [match, token, pipes] of dbConf[key].matchAll(
+      /\{([^{}|]+)((?:\|[^{}|]+)*)\}/g,
+    )) {
+      const name = token.trim();
+      if (!BUILTIN_TEMPLATE_TOKENS.includes(name) && !dbMeta.properties[name]) {
+        problems.push({
+          path: `${sourcePath}.${key}`,
+          message: `Unknown template token "${match}": not a built-in token or a property${didYouMean(name, [...BUILTIN_TEMPLATE_TOKENS, ...names])}`,
+        });
+      }
+      for (const filter of pipes.split("|").slice(1)) {
+        if (!TEMPLATE_FILTERS[filter.trim()]) {
+          problems.push({
+            path: `${sourcePath}.${key}`,
+            message: `Unknown template filter "${filter.trim()}" in "${match}" (expected one of: ${Object.keys(TEMPLATE_FILTERS).join(", ")})`,
+          });
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Every problem of a config at once: unknown keys and invalid values, then
+ * (for databases whose schema was fetched) property names, then whatever
+ * detectDbConfig still rejects. Problems are { path, message }.
+ */
+function validateConfig(config, dbMetas = []) {
+  const problems = [];
+  checkValue(config, CONFIG_SCHEMA, "", problems);
+  if (!isPlainObject(config)) return problems;
+  const invalidPaths = problems.map((problem) => problem.path);
+  const isInvalid = (valuePath) =>
+    invalidPaths.some(
+      (invalid) =>
+        invalid === valuePath ||
+        invalid.startsWith(`${valuePath}.`) ||
+        invalid.startsWith(`${valuePath}[`),
+    );
+
+  const sources = [
+    ["databases", "databaseId"],
+    ["pages", "rootPageId"],
+  ];
+  for (const [listKey, idKey] of sources) {
+    const list = Array.isArray(config[listKey]) ? config[listKey] : [];
+    list.forEach((sourceConf, index) => {
+      const sourcePath = `${listKey}[${index}]`;
+      if (!isPlainObject(sourceConf)) return;
+      const before = problems.length;
+      // Top-level settings every database inherits
+      const inherited = [
+        "adapter",
+        "redirects",
+        "images",
+        "blocks",
+        "richText",
+      ];
+      const merged = {
+        ...Object.fromEntries(inherited.map((key) => [key, config[key]])),
+        ...sourceConf,
+      };
+
+      const adapter = ADAPTERS[merged.adapter || "eleventy"];
+      for (const field of [idKey, ...(adapter?.requiredFields || [])]) {
+        if (!merged[field]) {
+          problems.push({
+            path: `${sourcePath}.${field}`,
+            message: `Missing required field '${field}'`,
+          });
+        }
+      }
+
+      const { dbMeta, error } =
+        (listKey === "databases" && dbMetas[index]) || {};
+      if (error) {
+        problems.push({
+          path: `${sourcePath}.databaseId`,
+          message: `Cannot read database: ${error.message}`,
+        });
+      }
+      if (dbMeta) {
+        checkDatabaseProperties(sourceConf, dbMeta, sourcePath, problems);
+      }
+
+      // Rules that only detectDbConfig knows about, unless already reported
+      if (
+        problems.length === before &&
+        !isInvalid(sourcePath) &&
+        !inherited.some(isInvalid)
+      ) {
+        // Without the database schema (no token), 'where' and 'sorts'
+        // property names can't be checked
+        const checked =
+          listKey === "databases" && !dbMeta
+            ? { ...merged, where: undefined, sorts: undefined }
+            : merged;
+        try {
+          detectDbConfig(checked, dbMeta || null);
+        } catch (e) {
+          problems.push({ path: sourcePath, message: e.message });
+        }
+      }
+    });
+  }
+  return problems;
+}
+
+// Line of every value in a YAML or JSON config, keyed like problem paths
+function configLocations(filePath) {
+  const lines = new Map();
+  if (!filePath || !/\.(ya?ml|json)$/.test(filePath)) return lines;
+
+  const root = { children: [] };
+  const stack = [root];
+  yaml.load(fs.readFileSync(filePath, "utf8"), {
+    listener(event, state) {
+      if (event === "open") {
+        const node = { line: state.line + 1, children: [] };
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+      } else {
+        const node = stack.pop();
+        node.kind = state.kind;
+        node.result = state.result;
+      }
+    },
+  });
+
+  const walk = (node, nodePath, line) => {
+    lines.set(nodePath, line);
+    if (node.kind === "mapping") {
+      // Children alternate between keys and values
+      for (let i = 0; i + 1 < node.children.length; i += 2) {
+        const key = node.children[i];
+        const childPath = nodePath ? `${nodePath}.${key.result}` : key.result;
+        walk(node.children[i + 1], String(childPath), key.line);
+      }
+    } else if (node.kind === "sequence") {
+      node.children.forEach((child, index) =>
+        walk(child, `${nodePath}[${index}]`, child.line),
+      );
+    }
   };
-  const permalinkTpl = dbConf.permalink || `${basePath}/{slug}/`;
-  const fmExtras = dbConf.frontMatter || {};
-  const cleanBeforeSync = dbConf.cleanBeforeSync !== false; // default true
+  if (root.children[0]) walk(root.children[0], "", root.children[0].line);
+  return lines;
+}
+
+// Adds file and line to problems, in file order; missing keys point to the
+// closest parent that exists
+function locateConfigProblems(problems, filePath) {
+  const lines = configLocations(filePath);
+  return problems
+    .map((problem) => {
+      let candidate = problem.path;
+      while (candidate && !lines.has(candidate)) {
+        const parent = candidate.replace(/(\.[^.[\]]+|\[\d+\])$/, "");
+        candidate = parent === candidate ? "" : parent;
+      }
+      return {
+        ...problem,
+        file: filePath ? path.relative(process.cwd(), filePath) : null,
+        line: lines.get(candidate) || null,
+      };
+    })
+    .sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+function formatConfigProblem(problem) {
+  const location = problem.file
+    ? `${problem.file}${problem.line ? `:${problem.line}` : ""}: `
+    : "";
+  return `${location}${problem.path || "(root)"}: ${problem.message}`;
+}
+
+// Databases are read once, before validation; unreadable ones are problems
+async function fetchDatabaseMetas(notion, databases, concurrency) {
+  if (!Array.isArray(databases)) return [];
+  return mapWithConcurrency(databases, concurrency, async (dbConf) => {
+    if (typeof dbConf?.databaseId !== "string") return {};
+    try {
+      const dbId = extractDatabaseId(dbConf.databaseId);
+      return { dbId, dbMeta: await fetchDatabaseMeta(notion, dbId) };
+    } catch (error) {
+      return { error };
+    }
+  });
+}
+
+function createConfigError(problems) {
+  const error = new Error(
+    `Invalid configuration (${problems.length} problem${problems.length === 1 ? "" : "s"}):\n${problems.map((problem) => `  - ${formatConfigProblem(problem)}`).join("\n")}`,
+  );
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Checks a config without exporting anything. Property names are checked
+ * against Notion when a token is available.
+ */
+async function validateNotionConfig(options = {}) {
+  const { notionToken, configPath, config: providedConfig } = options;
+  const configFile = providedConfig ? null : findConfigFile(configPath);
+  const config = providedConfig || loadConfig(configFile);
+  const token = notionToken || process.env.NOTION_TOKEN;
+
+  let dbMetas = [];
+  if (token) {
+    const scheduler = createRequestScheduler({
+      concurrency: options.concurrency || config?.concurrency,
+      requestsPerSecond: config?.requestsPerSecond,
+    });
+    const notion = scheduleNotionRequests(
+      new Client({ auth: token }),
+      scheduler,
+    );
+    dbMetas = await fetchDatabaseMetas(
+      notion,
+      config?.databases,
+      scheduler.concurrency,
+    );
+  }
 
   return {
-    dir,
-    imagesDir,
-    basePath,
-    layout,
-    excludeProps,
-    slugConf,
-    permalinkTpl,
-    fmExtras,
-    cleanBeforeSync,
+    file: configFile ? path.relative(process.cwd(), configFile) : null,
+    propertiesChecked: Boolean(token),
+    problems: locateConfigProblems(validateConfig(config, dbMetas), configFile),
   };
 }
 
-// ---------- Slug and Permalink Generation ----------
-function buildSlug(page, slugConf) {
-  let base = null;
-  if (slugConf.from === "title") {
-    base = getFirstTitleText(page);
-  } else if (slugConf.from === "id") {
-    base = page.id;
-  } else if (slugConf.from && page.properties?.[slugConf.from]) {
-    base = extractPropValue(page.properties[slugConf.from]);
-  }
-  if (!base || String(base).trim() === "") {
-    if (slugConf.fallback === "id") base = page.id;
-    else base = getFirstTitleText(page) || page.id;
+// ---------- Config Scaffolding ----------
+// Properties about the editing process rather than the content
+const PRIVATE_PROPERTY_TYPES = new Set([
+  "button",
+  "created_by",
+  "last_edited_by",
+  "verification",
+]);
+const PRIVATE_PROPERTY_RE = /\b(internal|private|notes?|comments?|todo)\b/i;
+
+const SLUG_PROPERTY_RE = /^(slug|url|permalink|path)$/i;
+const PUBLISHED_OPTION_RE = /^(published|public|live)$/i;
+
+function propertyOptions(prop) {
+  return (prop[prop.type]?.options || []).map((option) => option.name);
+}
+
+function describeProperty(prop) {
+  const options = propertyOptions(prop);
+  if (options.length === 0) return prop.type;
+  const shown = options.slice(0, 5).join(", ");
+  return `${prop.type} (${shown}${options.length > 5 ? ", ..." : ""})`;
+}
+
+function suggestSlugProperty(properties) {
+  const found = properties.find(
+    ([name, prop]) =>
+      SLUG_PROPERTY_RE.test(name) &&
+      ["rich_text", "formula"].includes(prop.type),
+  );
+  return found ? found[0] : "title";
+}
+
+function suggestExcludedProperties(properties) {
+  return properties
+    .filter(
+      ([name, prop]) =>
+        prop.type !== "title" &&
+        (PRIVATE_PROPERTY_TYPES.has(prop.type) ||
+          PRIVATE_PROPERTY_RE.test(name)),
+    )
+    .map(([name]) => name);
+}
+
+function suggestPublishConfig(properties) {
+  for (const [name, prop] of properties) {
+    if (prop.type === "checkbox" && /publish|public/i.test(name)) {
+      return { statusProperty: name };
+    }
+    if (["status", "select"].includes(prop.type) && /status/i.test(name)) {
+      const published = propertyOptions(prop).filter((option) =>
+        PUBLISHED_OPTION_RE.test(option),
+      );
+      if (published.length > 0) {
+        return { statusProperty: name, publishedStatuses: published };
+      }
+    }
   }
-  return toSlug(String(base), { lower: slugConf.lower !== false });
+  return null;
 }
 
-function renderPermalink(tpl, ctx) {
-  return tpl.replace("{slug}", ctx.slug);
+function renderInitConfig(sources, adapterName) {
+  const q = (value) => JSON.stringify(value);
+  const lines = [
+    '# Notion to SSG configuration, generated by "notion-to-ssg init"',
+    '# Check it with "notion-to-ssg validate"; all options are described at',
+    "# https://github.com/ZeFish/notion-to-ssg#%EF%B8%8F-configuration",
+    "",
+  ];
+  if (adapterName !== "eleventy") {
+    lines.push(`adapter: ${q(adapterName)}`, "");
+  }
+  lines.push("databases:");
+
+  for (const source of sources) {
+    const properties = Object.entries(source.dbMeta.properties || {});
+    const excluded = suggestExcludedProperties(properties);
+    const publish = suggestPublishConfig(properties);
+
+    lines.push(
+      `  # ${source.title}`,
+      `  - databaseId: ${q(source.dbId)}`,
+      `    srcDir: ${q(source.srcDir)}`,
+      `    basePath: ${q(source.basePath)}`,
+    );
+    if (source.layout) lines.push(`    layout: ${q(source.layout)}`);
+    lines.push(
+      "    slug:",
+      `      from: ${q(suggestSlugProperty(properties))}`,
+      '      fallback: "id"',
+      "      lower: true",
+    );
+    if (excluded.length > 0) {
+      lines.push(
+        "    # Kept out of the front matter, they look like editorial notes",
+        "    excludeProperties:",
+        ...excluded.map((name) => `      - ${q(name)}`),
+      );
+    }
+    if (publish) {
+      lines.push(
+        "    # Uncomment to export published pages only",
+        "    # publish:",
+        `    #   statusProperty: ${q(publish.statusProperty)}`,
+      );
+      if (publish.publishedStatuses) {
+        lines.push(
+          `    #   publishedStatuses: [${publish.publishedStatuses.map(q).join(", ")}]`,
+        );
+      }
+    }
+    lines.push(
+      "    # Properties:",
+      ...properties.map(
+        ([name, prop]) => `    #   ${name}: ${describeProperty(prop)}`,
+      ),
+      "",
+    );
+  }
+  return lines.join("\n");
 }
 
-function toFrontMatterYaml(obj) {
-  return `---
-${yaml.dump(obj)}---
-`;
+/**
+ * Writes a commented YAML config for the given databases, read from Notion.
+ * srcDir, basePath and layout accept a {slug} token (the database title);
+ * the ones left out are asked with `prompt(question, defaultValue)` when
+ * given, and defaulted otherwise.
+ */
+async function initNotionConfig(options = {}) {
+  const {
+    notionToken,
+    databases = [],
+    configPath = "notion.config.yml",
+    adapter: adapterName = "eleventy",
+    force = false,
+    prompt = null,
+  } = options;
+
+  const token = notionToken || process.env.NOTION_TOKEN;
+  if (!token) {
+    throw new Error(
+      "Missing NOTION_TOKEN. Provide it via options or environment variable.",
+    );
+  }
+  if (databases.length === 0) {
+    throw new Error("Provide at least one Notion database ID or URL");
+  }
+  if (!/\.ya?ml$/.test(configPath)) {
+    throw new Error(
+      `Generated configs are YAML files, to keep their comments: ${configPath}`,
+    );
+  }
+  const file = path.resolve(process.cwd(), configPath);
+  if (fs.existsSync(file) && !force) {
+    throw new Error(
+      `${configPath} already exists (use --force to overwrite it)`,
+    );
+  }
+  const adapter = getAdapter(adapterName);
+
+  const scheduler = createRequestScheduler({
+    concurrency: options.concurrency,
+  });
+  const notion = scheduleNotionRequests(new Client({ auth: token }), scheduler);
+  const dbIds = databases.map(extractDatabaseId);
+  const dbMetas = await mapWithConcurrency(
+    dbIds,
+    scheduler.concurrency,
+    (dbId) => fetchDatabaseMeta(notion, dbId),
+  );
+
+  const usedSlugs = new Set();
+  const sources = [];
+  for (const [index, dbMeta] of dbMetas.entries()) {
+    const title = normalizeRichText(dbMeta.title) || "Untitled";
+    const baseSlug = toSlug(title, { lower: true }) || "notion";
+    let slug = baseSlug;
+    for (let n = 2; usedSlugs.has(slug); n++) slug = `${baseSlug}-${n}`;
+    usedSlugs.add(slug);
+
+    const setting = async (key, question, defaultValue) => {
+      const value =
+        options[key] ??
+        (prompt
+          ? await prompt(
+              `${question} for "${title}"`,
+              defaultValue.replace(/\{slug\}/g, slug),
+            )
+          : defaultValue);
+      return value.replace(/\{slug\}/g, slug);
+    };
+
+    const source = { dbId: dbIds[index], title, dbMeta };
+    source.srcDir = await setting(
+      "srcDir",
+      "Markdown directory",
+      adapter.contentDir,
+    );
+    source.basePath = await setting("basePath", "URL base path", "/{slug}");
+    if (options.layout || adapter.requiredFields.includes("layout")) {
+      source.layout = await setting("layout", "Layout", "layouts/{slug}.njk");
+    }
+    sources.push(source);
+  }
+
+  ensureDir(path.dirname(file));
+  fs.writeFileSync(file, renderInitConfig(sources, adapterName));
+
+  return {
+    file: path.relative(process.cwd(), file),
+    databases: sources.map(({ dbId, title, srcDir, basePath, layout }) => ({
+      databaseId: dbId,
+      title,
+      srcDir,
+      basePath,
+      layout,
+    })),
+  };
 }
 
 // ---------- Notion API Interactions ----------
@@ -404,7 +3376,18 @@ async function fetchDatabaseMeta(notion, database_id) {
   return notion.databases.retrieve({ database_id });
 }
 
-async function fetchAllPages(notion, database_id) {
+async function fetchBlockChildren(notion, block_id) {
+  const results = [];
+  let start_cursor = undefined;
+  do {
+    const resp = await notion.blocks.children.list({ block_id, start_cursor });
+    results.push(...resp.results);
+    start_cursor = resp.has_more ? resp.next_cursor : undefined;
+  } while (start_cursor);
+  return results;
+}
+
+async function fetchAllPages(notion, database_id, query = {}) {
   const results = [];
   let hasMore = true;
   let start_cursor = undefined;
@@ -412,6 +3395,8 @@ async function fetchAllPages(notion, database_id) {
     const resp = await notion.databases.query({
       database_id: database_id,
       start_cursor: start_cursor,
+      ...(query.filter && { filter: query.filter }),
+      ...(query.sorts && { sorts: query.sorts }),
     });
     results.push(...resp.results);
     hasMore = resp.has_more;
@@ -420,9 +3405,83 @@ async function fetchAllPages(notion, database_id) {
   return results;
 }
 
-async function pageBodyMarkdown(n2m, pageId, slug, imagesDir, pageMap) {
+/**
+ * Notion returns at most 25 relations per property and leaves rollups over
+ * more of them incomplete; the property endpoint pages through all of them.
+ */
+async function completeTruncatedProperties(notion, page) {
+  for (const [name, prop] of Object.entries(page.properties || {})) {
+    const truncated =
+      (prop.type === "relation" && prop.has_more) ||
+      (prop.type === "rollup" && prop.rollup?.type === "incomplete");
+    if (!truncated) continue;
+
+    const items = [];
+    let propertyItem = null;
+    let start_cursor = undefined;
+    do {
+      const resp = await notion.pages.properties.retrieve({
+        page_id: page.id,
+        property_id: prop.id,
+        start_cursor,
+      });
+      items.push(...(resp.results || []));
+      propertyItem = resp.property_item || propertyItem;
+      start_cursor = resp.has_more ? resp.next_cursor : undefined;
+    } while (start_cursor);
+
+    if (prop.type === "relation") {
+      page.properties[name] = {
+        ...prop,
+        relation: items.map((item) => item.relation),
+        has_more: false,
+      };
+    } else if (propertyItem?.rollup?.type === "array") {
+      // Items of list properties hold a single rich text, user or page
+      const array = items.map((item) =>
+        ["title", "rich_text", "people", "relation"].includes(item.type)
+          ? { type: item.type, [item.type]: [item[item.type]] }
+          : item,
+      );
+      page.properties[name] = { ...prop, rollup: { type: "array", array } };
+    } else if (propertyItem?.rollup) {
+      page.properties[name] = { ...prop, rollup: propertyItem.rollup };
+    }
+  }
+  return page;
+}
+
+// Sub-pages that are exported themselves become links instead of being
+// inlined into their parent
+function linkChildPages(mdBlocks, pageMap, tracked) {
+  for (const block of mdBlocks) {
+    if (block.type === "child_page") {
+      const childKey = block.blockId.replace(/-/g, "");
+      const entry = pageMap.get(childKey);
+      if (entry) {
+        block.type = "paragraph";
+        block.parent = `[${entry.title}](${entry.permalink})`;
+        block.children = [];
+        if (!tracked.links.includes(childKey)) tracked.links.push(childKey);
+      }
+    } else if (block.children?.length) {
+      linkChildPages(block.children, pageMap, tracked);
+    }
+  }
+}
+
+async function pageBodyMarkdown(
+  n2m,
+  pageId,
+  slug,
+  imagesDir,
+  pageMap,
+  tracked = { images: [], links: [], saveImage: saveNotionImage },
+) {
   try {
     const mdBlocks = await n2m.pageToMarkdown(pageId);
+    linkChildPages(mdBlocks, pageMap, tracked);
+    showTemplatedToggles(mdBlocks, n2m);
     const md = n2m.toMarkdownString(mdBlocks);
     let markdown = md.parent || "";
 
@@ -441,51 +3500,53 @@ async function pageBodyMarkdown(n2m, pageId, slug, imagesDir, pageMap) {
           url.includes("secure.notion-static.com") ||
           url.includes("s3.us-west")
         ) {
-          const localPath = await saveNotionImage(
+          const localPath = await tracked.saveImage(
             url,
             slug,
             replacements.length, // Use index for uniqueness
             imagesDir,
           );
-          replacements.push({
-            original: fullMatch,
-            replacement: `![${altText}](${localPath})`,
-          });
+          const image = tracked.images.find(
+            (asset) => asset.url === localPath,
+          )?.responsive;
+          let replacement = `![${altText}](${localPath})`;
+          if (image && tracked.responsive.markup === "picture") {
+            replacement = toPictureHtml(image, altText);
+          } else if (image) {
+            tracked.inlineImages.push({ alt: altText, ...image });
+          }
+          replacements.push({ original: fullMatch, replacement });
         }
         continue; // Move to the next match
       }
 
+      // Attachments: download files hosted by Notion and link the local copy
+      if (tracked.saveFile && isNotionFileUrl(url)) {
+        const localPath = await tracked.saveFile(url, null, slug);
+        replacements.push({
+          original: fullMatch,
+          replacement: `[${altText}](${localPath})`,
+        });
+        continue;
+      }
+
       // Handle internal Notion links: resolve to local permalink
       // Check both full URLs and direct page IDs (with or without dashes)
-      let notionId = null;
-
-      // Try matching full Notion URL format first
-      const notionUrlMatch = url.match(
-        /https?:\/\/(?:www\.)?notion\.so\/(?:[a-zA-Z0-9-]+\/)?([a-f0-9]{32})/,
-      );
-      if (notionUrlMatch) {
-        notionId = notionUrlMatch[1].replace(/-/g, "");
-      }
+      const notionId = notionLinkId(url);
 
-      // Try matching direct page ID format (32 hex chars, with or without dashes)
-      if (
-        !notionId &&
-        url.match(
-          /^\/[a-f0-9]{32}$|^\/[a-f0-9]{8}-?[a-f0-9]{4}-?[a-f0-9]{4}-?[a-f0-9]{4}-?[a-f0-9]{12}$/i,
-        )
-      ) {
-        notionId = url.replace(/[\/\-]/g, "").toLowerCase();
+      // Remember every linked page so incremental syncs can re-render this
+      // page when the target's permalink changes
+      if (notionId && !tracked.links.includes(notionId)) {
+        tracked.links.push(notionId);
       }
 
       if (notionId && pageMap.has(notionId)) {
-        const localPermalink = pageMap.get(notionId);
+        const localPermalink = pageMap.get(notionId).permalink;
         replacements.push({
           original: fullMatch,
           replacement: `[${altText}](${localPermalink})`,
         });
-        console.log(
-          `  → Resolved internal link: ${altText} → ${localPermalink}`,
-        );
+        log(`  → Resolved internal link: ${altText} → ${localPermalink}`);
       }
     }
 
@@ -499,40 +3560,280 @@ async function pageBodyMarkdown(n2m, pageId, slug, imagesDir, pageMap) {
 
     return markdown;
   } catch (e) {
-    console.warn("Markdown conversion error for page", pageId, e.message);
-    return "";
+    // Never write an empty body: the page fails and keeps its previous file
+    throw new Error(`Markdown conversion failed: ${e.message}`);
+  }
+}
+
+// ---------- Page Trees ----------
+// Sub-pages can also sit inside toggles, columns or synced blocks; a
+// sub-page's own blocks belong to its own visit
+async function fetchChildPageIds(notion, block_id) {
+  const ids = [];
+  let start_cursor = undefined;
+  do {
+    const resp = await notion.blocks.children.list({ block_id, start_cursor });
+    for (const block of resp.results) {
+      if (block.type === "child_page") ids.push(block.id);
+      else if (block.has_children && block.type !== "child_database") {
+        ids.push(...(await fetchChildPageIds(notion, block.id)));
+      }
+    }
+    start_cursor = resp.has_more ? resp.next_cursor : undefined;
+  } while (start_cursor);
+  return ids;
+}
+
+/**
+ * Walks a page and all of its sub-pages. The root comes first; every node
+ * knows its parent, its children and its position among its siblings.
+ */
+async function fetchPageTree(notion, rootPageId, concurrency) {
+  const nodes = [];
+
+  async function visit(pageId, parentKey, order) {
+    const page = await notion.pages.retrieve({ page_id: pageId });
+    const node = {
+      page,
+      key: page.id.replace(/-/g, ""),
+      parentKey,
+      order,
+      childKeys: [],
+    };
+    nodes.push(node);
+
+    const childIds = await fetchChildPageIds(notion, pageId);
+    const children = await mapWithConcurrency(childIds, concurrency, (id, i) =>
+      visit(id, node.key, i),
+    );
+    node.childKeys = children.map((child) => child.key);
+    return node;
+  }
+
+  await visit(rootPageId, null, 0);
+  return nodes;
+}
+
+// Mirror the tree on disk: the root is index, pages with sub-pages become
+// directories with their own index, leaves are plain files
+function buildTreeEntries(nodes, treeCfg, slugOverrides = new Map()) {
+  const byKey = new Map(nodes.map((node) => [node.key, node]));
+  const entries = new Map();
+  const slugOf = (node) =>
+    slugOverrides.get(node.key) || buildSlug(node.page, treeCfg.slugConf);
+
+  for (const node of nodes) {
+    const segments = [];
+    for (let n = node; n.parentKey; n = byKey.get(n.parentKey)) {
+      segments.unshift(slugOf(n));
+    }
+
+    const slug = slugOf(node);
+    const fileBase =
+      segments.length === 0 || node.childKeys.length > 0
+        ? path.join(...segments, "index")
+        : path.join(...segments);
+
+    entries.set(node.key, {
+      id: node.page.id,
+      title: getFirstTitleText(node.page) || slug,
+      slug,
+      permalink: `${treeCfg.basePath}/${segments.join("/")}/`.replace(
+        /\/+/g,
+        "/",
+      ),
+      outPath: path.join(treeCfg.dir, fileBase + treeCfg.adapter.extension),
+      tree: {
+        parentKey: node.parentKey,
+        childKeys: node.childKeys,
+        order: node.order,
+      },
+    });
   }
+  return entries;
 }
 
 // ---------- Page Writing ----------
-async function writePage(n2m, dbCfg, page, pageMap) {
-  const slug = buildSlug(page, dbCfg.slugConf);
-  const permalink = renderPermalink(dbCfg.permalinkTpl, { slug });
+async function renderPage(
+  n2m,
+  dbCfg,
+  page,
+  pageMap,
+  saveImage = saveNotionImage,
+  saveFile = saveNotionFile,
+) {
+  const { adapter } = dbCfg;
+  const entry = pageMap.get(page.id.replace(/-/g, ""));
+  const { slug, permalink } = entry;
+  // A failed download keeps the Notion URL and is reported in the results
+  const keepUrlOnFailure =
+    (kind, download) =>
+    async (url, ...args) => {
+      try {
+        return await download(url, ...args);
+      } catch (error) {
+        console.warn(`  ⚠️  Failed to download ${kind}: ${error.message}`);
+        tracked.failures.push({ url, error: error.message });
+        return url;
+      }
+    };
+  const tracked = {
+    images: [],
+    links: [],
+    files: [],
+    failures: [],
+    saveFile: keepUrlOnFailure("file", (url, name, pageSlug) =>
+      saveFile(
+        url,
+        name,
+        pageSlug,
+        dbCfg.filesDir,
+        tracked.files,
+        dbCfg.publicDir,
+      ),
+    ),
+    responsive: dbCfg.responsive,
+    inlineImages: [],
+    saveImage: keepUrlOnFailure("image", (url, pageSlug, index, imagesDir) =>
+      saveImage(
+        url,
+        pageSlug,
+        index,
+        imagesDir,
+        tracked.images,
+        dbCfg.publicDir,
+        dbCfg.responsive,
+      ),
+    ),
+  };
+  // Processed covers and icons become objects describing their variants
+  const toFrontMatterImage = (url) =>
+    tracked.images.find((asset) => asset.url === url)?.responsive || url;
 
   // Collect front matter from all properties (except excluded)
   const front = {
-    layout: dbCfg.layout,
-    title: getFirstTitleText(page) || slug,
-    permalink,
-    notionPageId: page.id,
+    ...adapter.frontMatter({
+      layout: dbCfg.layout,
+      title: getFirstTitleText(page) || slug,
+      slug,
+      permalink,
+      pageId: page.id,
+    }),
     ...dbCfg.fmExtras,
   };
 
-  for (const [name, prop] of Object.entries(page.properties || {})) {
-    if (dbCfg.excludeProps.has(name)) continue;
-    const val = extractPropValue(prop);
-    if (val !== null && val !== undefined && val !== "") {
-      front[name.trim()] = val;
+  // Drafts included by the publishing workflow stay out of collections
+  if (getPublishState(page, dbCfg.publishConf).state === "draft") {
+    Object.assign(front, adapter.draftFrontMatter);
+  }
+
+  // Translations are re-rendered with this page when they move
+  if (entry.lang) {
+    front.lang = entry.lang;
+    front.translationKey = entry.translationKey;
+    if (entry.translations?.length > 0) {
+      front.translations = entry.translations.map(({ lang, permalink }) => ({
+        lang,
+        permalink,
+      }));
+    }
+    for (const { key } of entry.translations || []) {
+      if (!tracked.links.includes(key)) tracked.links.push(key);
+    }
+  }
+
+  if (dbCfg.redirectsKey && entry.redirectFrom?.length > 0) {
+    front[dbCfg.redirectsKey] = entry.redirectFrom;
+  }
+
+  // Links in rich text properties are followed like links in the body
+  const resolveLink = (pageId) => {
+    if (!tracked.links.includes(pageId)) tracked.links.push(pageId);
+    return pageMap.get(pageId)?.permalink || null;
+  };
+
+  for (const [name, prop] of Object.entries(page.properties || {})) {
+    if (dbCfg.excludeProps.has(name)) continue;
+    const mapping = dbCfg.propertyMap.get(name) || {};
+    const key = mapping.name || applyKeyStyle(name.trim(), dbCfg.keyStyle);
+    if (overwritesPageTitle(key, mapping)) continue;
+    let val = extractPropValue(prop, dbCfg.valueOptions);
+    let plainText = null;
+    const format = mapping.format || dbCfg.richText;
+    if (RICH_TEXT_TYPES.has(prop.type) && format !== "plain") {
+      plainText = val;
+      val = renderRichText(prop[prop.type], format, resolveLink);
+    }
+    // Files uploaded to Notion expire: link local copies instead
+    if (prop.type === "files") {
+      val = [];
+      for (const file of prop.files || []) {
+        const url = normalizeFiles([file])[0];
+        if (!url) continue;
+        val.push(
+          file.type === "file"
+            ? await tracked.saveFile(url, file.name, slug)
+            : url,
+        );
+      }
+    }
+    if (mapping.resolve && prop.type === "relation") {
+      val = resolveRelation(prop.relation, pageMap, mapping.resolve);
+      // Re-render this page when a related page is renamed or moved
+      for (const related of prop.relation || []) {
+        const relatedId = related.id.replace(/-/g, "");
+        if (!tracked.links.includes(relatedId)) tracked.links.push(relatedId);
+      }
+    }
+    if (isEmptyValue(val)) val = mapping.default;
+    else if (mapping.type) val = coerceValue(val, mapping.type);
+    else val = toTypedValue(dbCfg, prop, val);
+
+    if (!isEmptyValue(val)) {
+      const nested = Boolean(mapping.name);
+      setFrontMatterValue(front, key, val, nested);
+      if (!isEmptyValue(plainText)) {
+        setFrontMatterValue(
+          front,
+          plainTextKey(key, dbCfg.keyStyle),
+          plainText,
+          nested,
+        );
+      }
+    }
+  }
+
+  // Defaults of mapped properties the page does not have at all
+  for (const [name, mapping] of dbCfg.propertyMap) {
+    if (page.properties?.[name] || dbCfg.excludeProps.has(name)) continue;
+    const key = mapping.name || applyKeyStyle(name.trim(), dbCfg.keyStyle);
+    if (overwritesPageTitle(key, mapping)) continue;
+    if (!isEmptyValue(mapping.default)) {
+      setFrontMatterValue(front, key, mapping.default, Boolean(mapping.name));
     }
   }
 
-  // If a permalink property was extracted from Notion, it will be in front.permalink.
-  // We don't need to do anything extra, as it has already overwritten the generated one.
-  // However, we should log it if it's different.
-  if (front.permalink !== permalink) {
-    console.log(
-      `  → Overriding permalink with value from 'permalink' property: ${front.permalink}`,
-    );
+  // A 'permalink' property from Notion was already applied to the page's
+  // permalink, locale prefix included; keep it under the key the adapter
+  // uses (e.g. 'url' for Hugo)
+  if (adapter.permalinkKey && front.permalink) {
+    if (adapter.permalinkKey === "permalink") front.permalink = entry.permalink;
+    else delete front.permalink;
+  }
+
+  // Pages exported from a page tree know their place in it
+  if (entry.tree) {
+    const { parentKey, childKeys, order } = entry.tree;
+    const toNavEntry = (key) => {
+      const { id, title, permalink: url } = pageMap.get(key);
+      return { id, title, permalink: url };
+    };
+    if (parentKey) front.parent = toNavEntry(parentKey);
+    front.children = childKeys.map(toNavEntry);
+    front.order = order;
+    for (const key of [parentKey, ...childKeys]) {
+      if (key && !tracked.links.includes(key)) tracked.links.push(key);
+    }
   }
 
   // Handle cover image if present
@@ -543,13 +3844,13 @@ async function writePage(n2m, dbCfg, page, pageMap) {
         : page.cover.file?.url;
 
     if (coverUrl) {
-      const localCoverPath = await saveNotionImage(
+      const localCoverPath = await tracked.saveImage(
         coverUrl,
         slug,
         "cover",
         dbCfg.imagesDir,
       );
-      front.coverImage = localCoverPath;
+      front.coverImage = toFrontMatterImage(localCoverPath);
     }
   }
 
@@ -564,34 +3865,296 @@ async function writePage(n2m, dbCfg, page, pageMap) {
         : page.icon.file?.url;
 
     if (iconUrl) {
-      const localIconPath = await saveNotionImage(
+      const localIconPath = await tracked.saveImage(
         iconUrl,
         slug,
         "icon",
         dbCfg.imagesDir,
       );
-      front.iconImage = localIconPath;
+      front.iconImage = toFrontMatterImage(localIconPath);
     }
   }
 
-  const fm = toFrontMatterYaml(front);
   const body = await pageBodyMarkdown(
     n2m,
     page.id,
     slug,
     dbCfg.imagesDir,
     pageMap,
+    tracked,
   );
 
-  ensureDir(dbCfg.dir);
-  const outPath = path.join(dbCfg.dir, `${slug}.md`);
-  fs.writeFileSync(outPath, fm + body, "utf8");
-  return outPath;
+  // The "object" markup leaves inline images to the layout
+  if (tracked.inlineImages.length > 0) {
+    front.inlineImages = tracked.inlineImages;
+  }
+
+  const fm = dbCfg.serializeFrontMatter(front);
+
+  return {
+    outPath: entry.outPath,
+    content: fm + body,
+    slug,
+    images: tracked.images,
+    files: tracked.files,
+    failures: tracked.failures,
+    links: tracked.links,
+  };
+}
+
+async function writePage(n2m, dbCfg, page, pageMap) {
+  const rendered = await renderPage(n2m, dbCfg, page, pageMap);
+  ensureDir(path.dirname(rendered.outPath));
+  fs.writeFileSync(rendered.outPath, rendered.content, "utf8");
+  return rendered;
+}
+
+// ---------- Dry Run Planning ----------
+function createExportPlan() {
+  return {
+    dryRun: true,
+    files: { created: [], modified: [], renamed: [], deleted: [] },
+    images: { download: [], remove: [] },
+    attachments: { download: [], remove: [] },
+    databases: [],
+  };
+}
+
+function createImagePlanner(previousPages, plan) {
+  const knownSources = new Map();
+  for (const entry of Object.values(previousPages)) {
+    for (const [source, filePath] of Object.entries(entry.imageSources || {})) {
+      knownSources.set(source, filePath);
+    }
+  }
+
+  return async (
+    imageUrl,
+    pageSlug,
+    imageIndex,
+    imagesDir,
+    assets,
+    publicDir,
+    responsive,
+  ) => {
+    const source = imageSourceKey(imageUrl);
+    let filePath = knownSources.get(source);
+    if (!filePath || !fs.existsSync(path.join(process.cwd(), filePath))) {
+      // The content hash is only known after downloading
+      const ext = getImageExtension(imageUrl);
+      filePath = path.relative(
+        process.cwd(),
+        path.join(imagesDir, `${pageSlug}-${imageIndex}-[hash].${ext}`),
+      );
+      plan.images.download.push({ url: imageUrl, path: filePath });
+    }
+    const url = toPublicImagePath(filePath, publicDir);
+    const asset = { source, url, filePath };
+    if (responsive) {
+      const { image, variants, missing } = await createResponsiveImage(
+        filePath,
+        responsive,
+        publicDir,
+        false,
+      );
+      asset.responsive = image;
+      asset.variants = variants;
+      for (const variantPath of missing) {
+        plan.images.download.push({ url: imageUrl, path: variantPath });
+      }
+    }
+    if (assets) assets.push(asset);
+    return url;
+  };
+}
+
+function createFilePlanner(previousPages, plan) {
+  const knownSources = new Map();
+  for (const entry of Object.values(previousPages)) {
+    for (const [source, filePath] of Object.entries(entry.fileSources || {})) {
+      knownSources.set(source, filePath);
+    }
+  }
+
+  return async (fileUrl, name, pageSlug, filesDir, assets, publicDir) => {
+    const source = imageSourceKey(fileUrl);
+    let filePath = knownSources.get(source);
+    if (!filePath || !fs.existsSync(path.join(process.cwd(), filePath))) {
+      // Name and extension are only certain after downloading
+      const baseName = toSlug(attachmentBaseName(fileUrl, name)) || pageSlug;
+      const ext = getFileExtension(fileUrl, null);
+      filePath = path.relative(
+        process.cwd(),
+        path.join(filesDir, `${baseName}-[hash].${ext}`),
+      );
+      plan.attachments.download.push({ url: fileUrl, path: filePath });
+    }
+    const url = toPublicImagePath(filePath, publicDir);
+    if (assets) assets.push({ source, url, filePath });
+    return url;
+  };
+}
+
+function readFileIfExists(relPath) {
+  const filePath = path.join(process.cwd(), relPath);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+}
+
+function planPageWrite(
+  plan,
+  { databaseId, pageId, outputPath, previousPath, content },
+) {
+  const entry = { databaseId, pageId, path: outputPath };
+
+  // Renames diff against the file written under the previous slug
+  if (previousPath && previousPath !== outputPath) {
+    const before = readFileIfExists(previousPath);
+    if (before !== null) {
+      plan.files.renamed.push({
+        ...entry,
+        from: previousPath,
+        diff: createTwoFilesPatch(previousPath, outputPath, before, content),
+      });
+      return;
+    }
+  }
+
+  const before = readFileIfExists(outputPath);
+  if (before === null) {
+    plan.files.created.push(entry);
+  } else if (before !== content) {
+    plan.files.modified.push({
+      ...entry,
+      diff: createTwoFilesPatch(outputPath, outputPath, before, content),
+    });
+  }
+}
+
+function planFileDelete(plan, databaseId, relPath) {
+  if (fs.existsSync(path.join(process.cwd(), relPath))) {
+    plan.files.deleted.push({ databaseId, path: relPath });
+  }
+}
+
+// ---------- Selective Export ----------
+function selectionError(message) {
+  return Object.assign(new Error(message), { code: "INVALID_SELECTION" });
+}
+
+function matchesSource(selector, dbId, source) {
+  if (source.title.toLowerCase() === selector.toLowerCase()) return true;
+  try {
+    return extractDatabaseId(selector) === dbId;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Picks the sources (and the single page) to write; every source is still
+// fetched so the pageMap resolves links to the pages left untouched
+function selectSources(sources, selectors = {}) {
+  const databases = [].concat(selectors.database || []);
+  let sourceIds = [...sources.keys()];
+
+  if (databases.length > 0) {
+    sourceIds = [];
+    for (const selector of databases) {
+      const matches = [...sources]
+        .filter(([dbId, source]) => matchesSource(selector, dbId, source))
+        .map(([dbId]) => dbId);
+      if (matches.length === 0) {
+        const names = [...sources.values()].map((source) => source.title);
+        throw selectionError(
+          `No database or page tree matches "${selector}" (expected a database ID or one of: ${names.join(", ")})`,
+        );
+      }
+      sourceIds.push(...matches);
+    }
+  }
+
+  let pageKey = null;
+  if (selectors.page) {
+    try {
+      pageKey = extractDatabaseId(selectors.page);
+    } catch (error) {
+      throw selectionError(`Invalid Notion page ID or URL: ${selectors.page}`);
+    }
+    const sourceId = sourceIds.find((dbId) =>
+      sources
+        .get(dbId)
+        .pages.some((page) => page.id.replace(/-/g, "") === pageKey),
+    );
+    if (!sourceId) {
+      throw selectionError(
+        `Page ${selectors.page} is not exported by ${databases.length > 0 ? "the selected databases" : "this config"} (drafts and scheduled pages are withheld)`,
+      );
+    }
+    sourceIds = [sourceId];
+  }
+
+  return { sourceIds: new Set(sourceIds), pageKey };
 }
 
 // ---------- Main Export Function ----------
+// Notion rounds last_edited_time down to the minute
+function floorToMinute(date) {
+  return new Date(Math.floor(new Date(date).getTime() / 60000) * 60000);
+}
+
+function isPageUnchanged(prev, page, permalink, pageMap, previousPages) {
+  if (!prev || prev.lastEditedTime !== page.last_edited_time) return false;
+  // Edited in the same minute it was exported: later edits would be invisible
+  if (
+    prev.exportedAt &&
+    new Date(page.last_edited_time) >= floorToMinute(prev.exportedAt)
+  ) {
+    return false;
+  }
+  if (prev.permalink !== permalink) return false;
+  if (!fs.existsSync(path.join(process.cwd(), prev.outputPath))) return false;
+
+  // A new translation of this page is listed in its front matter
+  const entry = pageMap.get(page.id.replace(/-/g, ""));
+  for (const { key } of entry?.translations || []) {
+    if (!prev.links?.includes(key)) return false;
+  }
+
+  // A reorder or an insertion among sub-pages moves their 'order' and the
+  // parent's 'children' without editing any of them
+  if (entry?.tree) {
+    if (prev.order !== entry.tree.order) return false;
+    for (const key of entry.tree.childKeys) {
+      if (previousPages[key]?.order !== pageMap.get(key).tree.order) {
+        return false;
+      }
+    }
+  }
+
+  // A linked or related page that moved, was renamed or appeared/disappeared
+  // changes this page's body or front matter
+  for (const linkedId of prev.links || []) {
+    const before = previousPages[linkedId];
+    const after = pageMap.get(linkedId);
+    if (
+      before?.permalink !== after?.permalink ||
+      before?.title !== after?.title
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
 async function exportNotionToSSG(options = {}) {
-  const { notionToken, configPath, config: providedConfig } = options;
+  const {
+    notionToken,
+    configPath,
+    config: providedConfig,
+    full = false,
+    dryRun = false,
+    concurrency,
+  } = options;
+  configureLogging(options.logLevel, options.logOutput);
 
   // Validate Notion token
   const token = notionToken || process.env.NOTION_TOKEN;
@@ -602,111 +4165,720 @@ async function exportNotionToSSG(options = {}) {
   }
 
   // Load configuration
-  const config = providedConfig || loadConfig(configPath);
+  const configFile = providedConfig ? null : findConfigFile(configPath);
+  const config = providedConfig || loadConfig(configFile);
+  configureDownloads(config.downloads);
 
-  if (!config.databases || !Array.isArray(config.databases)) {
+  const databases = config.databases || [];
+  const pageTrees = config.pages || [];
+  if (
+    !Array.isArray(databases) ||
+    !Array.isArray(pageTrees) ||
+    databases.length + pageTrees.length === 0
+  ) {
     throw new Error(
-      "Config must have a 'databases' array with at least one database",
+      "Config must have a 'databases' array with at least one database (or a 'pages' array of page trees)",
     );
   }
 
-  // Initialize Notion clients
-  const notion = new Client({ auth: token });
-  const n2m = new NotionToMarkdown({ notionClient: notion });
+  // Load the manifest of the previous run; without one we do a full export
+  const manifestPath = resolveManifestPath(options, config);
+  const previousManifest = loadManifest(manifestPath);
+  const incremental = !full && previousManifest !== null;
+  const previousPages = previousManifest?.pages || {};
+  const previousDatabases = previousManifest?.databases || {};
+
+  if (dryRun) {
+    log("🔍 Dry run: no files will be written or deleted");
+  }
+  if (incremental) {
+    log(`🔁 Incremental sync using ${path.basename(manifestPath)}`);
+  }
+
+  // Initialize Notion clients; all API calls share one rate-limited scheduler
+  // (watch mode passes its own, shared with its polling)
+  const scheduler =
+    options.scheduler ||
+    createRequestScheduler({
+      concurrency: concurrency || config.concurrency,
+      requestsPerSecond: config.requestsPerSecond,
+    });
+  const notion = scheduleNotionRequests(new Client({ auth: token }), scheduler);
+
+  // Check the whole config, including the property names it uses, before
+  // anything is exported
+  const dbMetas = await fetchDatabaseMetas(
+    notion,
+    databases,
+    scheduler.concurrency,
+  );
+  const problems = validateConfig(config, dbMetas);
+  if (problems.length > 0) {
+    throw createConfigError(locateConfigProblems(problems, configFile));
+  }
 
   const results = [];
   const pageMap = new Map();
   const allDbPages = new Map();
 
   // First pass: collect all pages from all databases and build the ID-to-permalink map
-  for (const dbConf of config.databases) {
-    if (!dbConf.databaseId) {
-      throw new Error("Each database config must have a 'databaseId' field");
-    }
+  const fetchedDatabases = await mapWithConcurrency(
+    databases,
+    scheduler.concurrency,
+    async (dbConf, index) => {
+      const { dbId, dbMeta } = dbMetas[index];
+      const dbCfg = detectDbConfig(
+        {
+          adapter: config.adapter,
+          redirects: config.redirects,
+          images: config.images,
+          blocks: config.blocks,
+          richText: config.richText,
+          ...dbConf,
+        },
+        dbMeta,
+      );
+      const queriedPages = await fetchAllPages(notion, dbId, dbCfg.query);
+      for (const page of queriedPages) {
+        await completeTruncatedProperties(notion, page);
+      }
+      return { dbId, dbMeta, dbCfg, queriedPages };
+    },
+  );
 
-    const dbId = extractDatabaseId(dbConf.databaseId);
-    const dbMeta = await fetchDatabaseMeta(notion, dbId);
-    const dbCfg = detectDbConfig(dbConf, dbMeta);
-    const pages = await fetchAllPages(notion, dbId);
-    allDbPages.set(dbId, { pages, dbMeta, dbCfg });
+  for (const { dbId, dbMeta, dbCfg, queriedPages } of fetchedDatabases) {
+    // Withhold drafts (unless included) and pages scheduled for later
+    const pages = [];
+    const publishing = { drafts: 0, scheduled: [] };
+    for (const page of queriedPages) {
+      const { state, publishAt } = getPublishState(page, dbCfg.publishConf);
+      if (state === "scheduled") {
+        publishing.scheduled.push({ id: page.id, publishAt });
+        continue;
+      }
+      if (state === "draft") {
+        publishing.drafts++;
+        if (dbCfg.publishConf.drafts === "skip") continue;
+      }
+      pages.push(page);
+    }
+    allDbPages.set(dbId, {
+      title: dbMeta?.title?.[0]?.plain_text || dbId,
+      pages,
+      dbCfg,
+      converter: createConverter(notion, dbCfg.blocks),
+      publishing,
+    });
 
     for (const page of pages) {
-      const slug = buildSlug(page, dbCfg.slugConf);
-      let permalink = renderPermalink(dbCfg.permalinkTpl, { slug });
-
-      const permalinkProp = page.properties?.permalink;
-      if (permalinkProp) {
-        const permalinkValue = extractPropValue(permalinkProp);
-        if (permalinkValue) {
-          permalink = permalinkValue;
-        }
-      }
-      pageMap.set(page.id.replace(/-/g, ""), permalink);
+      pageMap.set(page.id.replace(/-/g, ""), buildPageEntry(page, dbCfg));
     }
   }
 
-  // Clean all unique, specified image directories before any exports run
-  const imageDirsToClean = new Set();
-  for (const dbConf of config.databases) {
-    if (dbConf.srcDirImages) {
-      const imagesDir = path.join(process.cwd(), dbConf.srcDirImages);
-      imageDirsToClean.add(imagesDir);
+  // Page trees: a root page and all of its sub-pages, exported like a database
+  const fetchedTrees = await mapWithConcurrency(
+    pageTrees,
+    scheduler.concurrency,
+    async (treeConf) => {
+      const rootId = extractDatabaseId(treeConf.rootPageId);
+      const dbCfg = detectDbConfig(
+        {
+          adapter: config.adapter,
+          redirects: config.redirects,
+          images: config.images,
+          blocks: config.blocks,
+          richText: config.richText,
+          ...treeConf,
+        },
+        null,
+      );
+      const nodes = await fetchPageTree(notion, rootId, scheduler.concurrency);
+      return { rootId, dbCfg, nodes };
+    },
+  );
+
+  for (const { rootId, dbCfg, nodes } of fetchedTrees) {
+    allDbPages.set(rootId, {
+      title: getFirstTitleText(nodes[0].page) || rootId,
+      pages: nodes.map((node) => node.page),
+      dbCfg,
+      converter: createConverter(notion, dbCfg.blocks, true),
+      tree: true,
+      nodes,
+      slugOverrides: new Map(),
+      publishing: { drafts: 0, scheduled: [] },
+    });
+
+    for (const [key, entry] of buildTreeEntries(nodes, dbCfg)) {
+      pageMap.set(key, entry);
     }
   }
 
-  for (const dir of imageDirsToClean) {
-    console.log(`🧹 Cleaning old images in ${dir}...`);
-    const deletedImages = cleanDirectory(dir);
-    console.log(`   Removed ${deletedImages.length} old image file(s)`);
+  // Two pages must never share a file or a URL
+  resolveSlugCollisions(allDbPages, pageMap);
+  linkTranslations(allDbPages, pageMap);
+
+  const selected = selectSources(allDbPages, options);
+
+  // Remember where pages used to live, to redirect their old URLs
+  const redirectTargets = normalizeRedirectsConfig(config.redirects);
+  const livePermalinks = new Set(
+    [...pageMap.values()].map((entry) => entry.permalink),
+  );
+  for (const [key, entry] of pageMap) {
+    entry.previousPermalinks = permalinkHistory(
+      previousPages[key],
+      entry.permalink,
+    );
+    entry.redirectFrom = entry.previousPermalinks.filter(
+      (url) => !livePermalinks.has(url),
+    );
+  }
+
+  // Entries of databases outside this config or not selected are carried
+  // over untouched. --page keeps every other entry too: without a full export
+  // of its database, removed pages and config changes wait for the next one
+  const manifest = {
+    version: MANIFEST_VERSION,
+    databases: {},
+    pages: {},
+  };
+  for (const [pageKey, entry] of Object.entries(previousPages)) {
+    if (selected.pageKey || !selected.sourceIds.has(entry.databaseId)) {
+      manifest.pages[pageKey] = entry;
+    }
+  }
+  for (const [dbId, entry] of Object.entries(previousDatabases)) {
+    if (selected.pageKey || !selected.sourceIds.has(dbId)) {
+      manifest.databases[dbId] = entry;
+    }
   }
 
+  // Reuse the Notion-hosted files downloaded by previous runs
+  rememberDownloadedAssets(previousPages);
+
+  // A dry run predicts image and attachment paths instead of downloading
+  const plan = dryRun ? createExportPlan() : null;
+  const saveImage = dryRun ? createImagePlanner(previousPages, plan) : null;
+  const saveFile = dryRun ? createFilePlanner(previousPages, plan) : null;
+
+  // Databases sharing a srcDir clean it once, before the first one is written,
+  // and never when it also holds the files of a database left out
+  const cleanedDirs = new Map();
+  const keptDirs = new Set(
+    [...allDbPages]
+      .filter(([dbId]) => !selected.sourceIds.has(dbId))
+      .map(([, source]) => source.dbCfg.dir),
+  );
+  const allWrittenFiles = new Set();
+  // Old files are only deleted once every page is written, as another page
+  // may have taken over their path
+  const staleFiles = [];
+
   // Second pass: write all pages using the complete map
-  for (const dbConf of config.databases) {
-    const dbId = extractDatabaseId(dbConf.databaseId);
-    const { pages, dbMeta, dbCfg } = allDbPages.get(dbId);
+  for (const [dbId, source] of allDbPages) {
+    if (!selected.sourceIds.has(dbId)) continue;
+    const { title: sourceTitle, pages, dbCfg, converter, publishing } = source;
+    // Trees and outputPath templates with directories write below srcDir
+    const nestedOutput = source.tree || dbCfg.outputPathTpl.includes("/");
 
-    ensureDir(dbCfg.dir);
-    ensureDir(dbCfg.imagesDir);
+    if (!dryRun) {
+      ensureDir(dbCfg.dir);
+      ensureDir(dbCfg.imagesDir);
+    }
 
     const deletedFiles = [];
+    const configChanged =
+      previousDatabases[dbId]?.configHash !== dbCfg.configHash;
 
-    // Clean before sync if enabled
-    if (dbCfg.cleanBeforeSync) {
-      console.log(`🧹 Cleaning old content in ${dbCfg.dir}...`);
-      const deletedMd = cleanDirectory(dbCfg.dir, /\.md$/);
-      deletedFiles.push(...deletedMd);
-      console.log(`   Removed ${deletedMd.length} old markdown file(s)`);
+    // Clean before sync if enabled (incremental syncs delete precisely instead)
+    const cleanMarkdown =
+      !incremental && !selected.pageKey && dbCfg.cleanBeforeSync;
+    if (cleanMarkdown && nestedOutput) {
+      // Subdirectories may hold hand-written files: only the files previous
+      // exports recorded go, once every page is written
+      for (const prev of Object.values(previousPages)) {
+        if (prev.databaseId === dbId) {
+          staleFiles.push({ dbId, relPath: prev.outputPath });
+        }
+      }
+    } else if (
+      cleanMarkdown &&
+      !cleanedDirs.has(dbCfg.dir) &&
+      !keptDirs.has(dbCfg.dir)
+    ) {
+      cleanedDirs.set(dbCfg.dir, { dbId, dbCfg });
+      if (!dryRun) {
+        log(`🧹 Cleaning old content in ${dbCfg.dir}...`);
+        const deletedMd = cleanDirectory(
+          dbCfg.dir,
+          new RegExp(`\\${dbCfg.adapter.extension}$`),
+        );
+        deletedFiles.push(...deletedMd);
+        log(`   Removed ${deletedMd.length} old markdown file(s)`);
+      }
     }
 
     const writtenFiles = new Set();
+    const seenPages = new Set();
+    const downloadFailures = [];
+    const pageFailures = [];
+    let pagesUnchanged = 0;
 
-    console.log(
-      `Exporting ${pages.length} pages from "${dbMeta?.title?.[0]?.plain_text || dbId}" → ${dbCfg.dir}`,
+    log(
+      `${dryRun ? "Planning" : "Exporting"} ${pages.length} pages from "${sourceTitle}" → ${dbCfg.dir}`,
     );
 
-    for (const page of pages) {
-      const outPath = await writePage(n2m, dbCfg, page, pageMap);
-      writtenFiles.add(outPath);
-      console.log("✓", path.relative(process.cwd(), outPath));
+    await mapWithConcurrency(pages, scheduler.concurrency, async (page) => {
+      const pageKey = page.id.replace(/-/g, "");
+      const { title, permalink } = pageMap.get(pageKey);
+      const prev = previousPages[pageKey];
+      seenPages.add(pageKey);
+
+      // --page re-exports its page whether it changed or not, and only it
+      if (selected.pageKey && selected.pageKey !== pageKey) return;
+      if (
+        !selected.pageKey &&
+        incremental &&
+        !configChanged &&
+        isPageUnchanged(prev, page, permalink, pageMap, previousPages)
+      ) {
+        manifest.pages[pageKey] = prev;
+        pagesUnchanged++;
+        logVerbose("·", prev.outputPath, "(unchanged)");
+        return;
+      }
+
+      let rendered;
+      try {
+        rendered = dryRun
+          ? await renderPage(
+              converter,
+              dbCfg,
+              page,
+              pageMap,
+              saveImage,
+              saveFile,
+            )
+          : await writePage(converter, dbCfg, page, pageMap);
+      } catch (error) {
+        // One broken page doesn't stop the export; it is retried next run
+        console.warn(`  ⚠️  Failed to export "${title}": ${error.message}`);
+        pageFailures.push({ pageId: page.id, title, error: error.message });
+        if (prev) manifest.pages[pageKey] = { ...prev, lastEditedTime: null };
+        return;
+      }
+      const outputPath = path.relative(process.cwd(), rendered.outPath);
+      writtenFiles.add(rendered.outPath);
+      allWrittenFiles.add(rendered.outPath);
+
+      if (dryRun) {
+        planPageWrite(plan, {
+          databaseId: dbId,
+          pageId: page.id,
+          outputPath,
+          previousPath: prev?.outputPath,
+          content: rendered.content,
+        });
+      } else {
+        log("✓", outputPath);
+
+        // The slug changed: drop the file written under the old name
+        if (incremental && prev && prev.outputPath !== outputPath) {
+          staleFiles.push({ dbId, relPath: prev.outputPath });
+        }
+      }
+
+      for (const failure of rendered.failures || []) {
+        downloadFailures.push({ pageId: page.id, outputPath, ...failure });
+      }
+
+      manifest.pages[pageKey] = {
+        databaseId: dbId,
+        // Forget the edit time of pages with failed downloads to retry them
+        lastEditedTime: rendered.failures?.length
+          ? null
+          : page.last_edited_time,
+        exportedAt: new Date().toISOString(),
+        slug: rendered.slug,
+        title,
+        permalink,
+        outputPath,
+        images: Array.from(
+          new Set(
+            rendered.images.flatMap((i) => [i.filePath, ...(i.variants || [])]),
+          ),
+        ),
+        imageSources: Object.fromEntries(
+          rendered.images.map((i) => [i.source, i.filePath]),
+        ),
+        files: Array.from(new Set(rendered.files.map((f) => f.filePath))),
+        fileSources: Object.fromEntries(
+          rendered.files.map((f) => [f.source, f.filePath]),
+        ),
+        links: rendered.links,
+        previousPermalinks: pageMap.get(pageKey).previousPermalinks,
+        order: pageMap.get(pageKey).tree?.order,
+      };
+    });
+
+    // Pages removed from Notion: delete exactly the files they produced
+    if (incremental && !selected.pageKey) {
+      for (const [pageKey, prev] of Object.entries(previousPages)) {
+        if (prev.databaseId !== dbId || seenPages.has(pageKey)) continue;
+        staleFiles.push({
+          dbId,
+          relPath: prev.outputPath,
+          deletedInNotion: true,
+        });
+      }
+    }
+
+    if (pagesUnchanged > 0) {
+      log(`   Skipped ${pagesUnchanged} unchanged page(s)`);
+    }
+
+    if (publishing.scheduled.length > 0) {
+      log(`   Withheld ${publishing.scheduled.length} scheduled page(s)`);
+    }
+
+    if (!selected.pageKey) {
+      manifest.databases[dbId] = { configHash: dbCfg.configHash };
     }
 
+    const nextPublishAt =
+      publishing.scheduled.map((s) => s.publishAt).sort()[0] || null;
+
     results.push({
       databaseId: dbId,
-      databaseTitle: dbMeta?.title?.[0]?.plain_text || dbId,
-      pagesExported: pages.length,
+      databaseTitle: sourceTitle,
+      // Pages actually written: skipped and failed pages are counted apart
+      pagesExported: writtenFiles.size,
+      pagesUnchanged,
+      drafts: publishing.drafts,
+      scheduled: publishing.scheduled,
+      nextPublishAt,
       filesWritten: Array.from(writtenFiles),
       filesDeleted: deletedFiles,
+      downloadFailures,
+      pageFailures,
     });
   }
 
+  const renamedFrom = new Set(plan?.files.renamed.map((r) => r.from));
+  for (const { dbId, relPath, deletedInNotion } of staleFiles) {
+    if (allWrittenFiles.has(path.resolve(process.cwd(), relPath))) continue;
+    if (dryRun) {
+      if (!renamedFrom.has(relPath)) planFileDelete(plan, dbId, relPath);
+      continue;
+    }
+    const removed = deleteFileIfExists(relPath);
+    if (removed) {
+      results.find((r) => r.databaseId === dbId).filesDeleted.push(removed);
+      removeEmptyDirs(removed, allDbPages.get(dbId).dbCfg.dir);
+      if (deletedInNotion) log("✗", relPath);
+    }
+  }
+
+  // A full dry run predicts the files the cleanup would remove
+  if (dryRun && !incremental) {
+    for (const [dir, { dbId, dbCfg }] of cleanedDirs) {
+      for (const filePath of getAllMarkdownFilesInDir(
+        dir,
+        dbCfg.adapter.extension,
+      )) {
+        const relPath = path.relative(process.cwd(), filePath);
+        if (!allWrittenFiles.has(filePath) && !renamedFrom.has(relPath)) {
+          planFileDelete(plan, dbId, relPath);
+        }
+      }
+    }
+  }
+
+  // Delete the assets this exporter created that no page of the new manifest
+  // references anymore; files it did not create are never touched
+  const referencedAssets = new Set();
+  for (const entry of Object.values(manifest.pages)) {
+    for (const img of entry.images || []) referencedAssets.add(img);
+    for (const file of entry.files || []) referencedAssets.add(file);
+  }
+  manifest.assets = Array.from(referencedAssets).sort();
+
+  const ownerOf = new Map();
+  for (const prev of Object.values(previousPages)) {
+    for (const img of prev.images || []) ownerOf.set(img, prev.databaseId);
+    for (const file of prev.files || []) ownerOf.set(file, prev.databaseId);
+  }
+  const attachments = new Set(
+    Object.values(previousPages).flatMap((prev) => prev.files || []),
+  );
+  // Manifests written before asset tracking only know referenced assets
+  const ownedAssets = previousManifest?.assets || Array.from(ownerOf.keys());
+
+  for (const asset of ownedAssets) {
+    if (referencedAssets.has(asset)) continue;
+    if (dryRun) {
+      if (fs.existsSync(path.join(process.cwd(), asset))) {
+        const planned = attachments.has(asset) ? plan.attachments : plan.images;
+        planned.remove.push(asset);
+      }
+      continue;
+    }
+    const removed = deleteFileIfExists(asset);
+    if (removed) {
+      const result = results.find((r) => r.databaseId === ownerOf.get(asset));
+      if (result) result.filesDeleted.push(removed);
+    }
+  }
+
+  writeRedirectFiles(redirectTargets, manifest.pages, plan);
+
+  if (dryRun) {
+    plan.databases = results;
+    return plan;
+  }
+
+  saveManifest(manifestPath, manifest);
+
   return results;
 }
 
+// ---------- Watch Mode ----------
+async function hasEditsSince(notion, database_id, since) {
+  const resp = await notion.databases.query({
+    database_id,
+    page_size: 1,
+    filter: {
+      timestamp: "last_edited_time",
+      last_edited_time: { on_or_after: since.toISOString() },
+    },
+  });
+  return resp.results.length > 0;
+}
+
+// Follows the parents of a page (through the blocks it may be nested in) up
+// to one of the tree roots, or to the workspace or a database
+async function isInPageTree(notion, page, rootIds) {
+  let current = page;
+  while (current) {
+    if (rootIds.has(current.id.replace(/-/g, ""))) return true;
+    const { type, page_id, block_id } = current.parent || {};
+    if (type === "page_id") {
+      current = await notion.pages.retrieve({ page_id });
+    } else if (type === "block_id") {
+      current = await notion.blocks.retrieve({ block_id });
+    } else {
+      return false;
+    }
+  }
+  return false;
+}
+
+// Editing a sub-page doesn't touch its root: look through the pages edited
+// since then, most recent first, for one inside a tree
+async function treeHasEditsSince(notion, rootIds, since) {
+  let start_cursor = undefined;
+  do {
+    const resp = await notion.search({
+      filter: { property: "object", value: "page" },
+      sort: { timestamp: "last_edited_time", direction: "descending" },
+      start_cursor,
+      page_size: 20,
+    });
+    for (const page of resp.results) {
+      if (new Date(page.last_edited_time) < since) return false;
+      if (await isInPageTree(notion, page, rootIds)) return true;
+    }
+    start_cursor = resp.has_more ? resp.next_cursor : undefined;
+  } while (start_cursor);
+  return false;
+}
+
+// Deleted or archived pages never show up as edits: compare the pages a
+// database still lists with the ones the last export wrote
+async function hasRemovedPages(notion, database_id, exportedKeys) {
+  if (exportedKeys.size === 0) return false;
+  const listed = new Set();
+  let start_cursor = undefined;
+  do {
+    const resp = await notion.databases.query({
+      database_id,
+      start_cursor,
+      page_size: 100,
+    });
+    for (const page of resp.results) listed.add(page.id.replace(/-/g, ""));
+    start_cursor = resp.has_more ? resp.next_cursor : undefined;
+  } while (start_cursor);
+  return [...exportedKeys].some((key) => !listed.has(key));
+}
+
+async function sourcesHaveChangedSince(notion, config, since, previousPages) {
+  const dbIds = (config.databases || []).map((dbConf) =>
+    extractDatabaseId(dbConf.databaseId),
+  );
+  for (const dbId of dbIds) {
+    if (await hasEditsSince(notion, dbId, since)) return true;
+  }
+  const rootIds = new Set(
+    (config.pages || []).map((treeConf) =>
+      extractDatabaseId(treeConf.rootPageId),
+    ),
+  );
+  if (rootIds.size > 0 && (await treeHasEditsSince(notion, rootIds, since))) {
+    return true;
+  }
+  // Removing a sub-page edits its parent, so only databases are listed
+  for (const dbId of dbIds) {
+    const exportedKeys = new Set(
+      Object.entries(previousPages)
+        .filter(([, entry]) => entry.databaseId === dbId)
+        .map(([key]) => key),
+    );
+    if (await hasRemovedPages(notion, dbId, exportedKeys)) return true;
+  }
+  return false;
+}
+
+/**
+ * Exports once, then polls every database and page tree for pages edited
+ * or removed since the last export and runs an incremental export whenever
+ * something changed.
+ * Returns a handle whose stop() ends the loop and whose done promise
+ * settles once it has.
+ */
+function watchNotionToSSG(options = {}) {
+  const { notionToken, configPath, config: providedConfig } = options;
+  const interval = (Number(options.interval) || 30) * 1000;
+  const onUpdate = options.onUpdate || (() => {});
+
+  const token = notionToken || process.env.NOTION_TOKEN;
+  if (!token) {
+    throw new Error(
+      "Missing NOTION_TOKEN. Provide it via options or environment variable.",
+    );
+  }
+  const initialConfig = providedConfig || loadConfig(configPath);
+  if (!initialConfig?.databases?.length && !initialConfig?.pages?.length) {
+    throw new Error(
+      "Nothing to watch: the config has no 'databases' or 'pages' to poll",
+    );
+  }
+
+  let stopped = false;
+  let wake = null;
+  // Scheduled pages go live without any edit in Notion: export again once
+  // the earliest publish date has passed
+  let nextPublishAt = null;
+  const trackScheduledPages = (results) => {
+    nextPublishAt =
+      results
+        .map((r) => r.nextPublishAt)
+        .filter(Boolean)
+        .sort()[0] || null;
+    return results;
+  };
+
+  const waitForNextPoll = () =>
+    new Promise((resolve) => {
+      const untilPublish = nextPublishAt
+        ? new Date(nextPublishAt) - Date.now()
+        : 0;
+      const timer = setTimeout(
+        resolve,
+        untilPublish > 0 ? Math.min(interval, untilPublish) : interval,
+      );
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+
+  // Exports and polls share one scheduler, so the rate limit covers both
+  const scheduler = createRequestScheduler({
+    concurrency: options.concurrency || initialConfig.concurrency,
+    requestsPerSecond: initialConfig.requestsPerSecond,
+  });
+  const notion = scheduleNotionRequests(new Client({ auth: token }), scheduler);
+
+  const done = (async () => {
+    const exportOptions = { ...options, full: false, dryRun: false, scheduler };
+    let since = floorToMinute(new Date());
+    onUpdate(trackScheduledPages(await exportNotionToSSG(exportOptions)));
+
+    log(`
+👀 Watching Notion for changes every ${interval / 1000}s...`);
+
+    while (!stopped) {
+      await waitForNextPoll();
+      if (stopped) break;
+
+      try {
+        // Pick up config edits made while watching
+        const config = providedConfig || loadConfig(configPath);
+        const pollStartedAt = floorToMinute(new Date());
+
+        const previousPages =
+          loadManifest(resolveManifestPath(options, config))?.pages || {};
+
+        const publishDue =
+          nextPublishAt !== null && new Date(nextPublishAt) <= new Date();
+        if (
+          !publishDue &&
+          !(await sourcesHaveChangedSince(notion, config, since, previousPages))
+        ) {
+          continue;
+        }
+
+        const reason = publishDue
+          ? "⏰ Scheduled pages due"
+          : "🔄 Changes detected";
+        log(`
+${reason} [${new Date().toLocaleTimeString()}]`);
+        const results = trackScheduledPages(
+          await exportNotionToSSG(exportOptions),
+        );
+        since = pollStartedAt;
+
+        const updated = results.reduce((n, r) => n + r.filesWritten.length, 0);
+        const deleted = results.reduce((n, r) => n + r.filesDeleted.length, 0);
+        log(`   Updated ${updated} page(s), removed ${deleted} file(s)`);
+        onUpdate(results);
+      } catch (error) {
+        console.error(`⚠️  Watch update failed: ${error.message}`);
+      }
+    }
+  })();
+
+  return {
+    stop() {
+      stopped = true;
+      if (wake) wake();
+      return done;
+    },
+    done,
+  };
+}
+
 // ---------- Exports ----------
 module.exports = {
   exportNotionToSSG,
+  watchNotionToSSG,
+  validateNotionConfig,
+  initNotionConfig,
   loadConfig,
   toSlug,
   getFirstTitleText,
   extractPropValue,
 };
+
+// Not part of the public API: pure helpers covered by the unit tests
+module.exports._internals = {
+  detectDbConfig,
+  buildPageEntry,
+  renderPathTemplate,
+  resolveSlugCollisions,
+  toFrontMatterToml,
+  setNestedValue,
+  validateConfig,
+  selectSources,
+};
@@ -0,0 +1,125 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { _internals } = require("../src/index.js");
+
+const { validateConfig, selectSources } = _internals;
+
+const DB_ID = "a".repeat(32);
+const database = {
+  databaseId: DB_ID,
+  srcDir: "src/posts",
+  basePath: "/blog",
+  layout: "post",
+};
+
+// ---------- validateConfig ----------
+test("validateConfig accepts a minimal database", () => {
+  assert.deepStrictEqual(validateConfig({ databases: [database] }), []);
+});
+
+test("validateConfig reports schema problems, then missing fields", () => {
+  const problems = validateConfig({
+    databases: [
+      { databaseId: DB_ID },
+      { ...database, bogus: true, slug: { onCollision: "skip" } },
+    ],
+  });
+
+  assert.deepStrictEqual(
+    problems.map((problem) => problem.path),
+    [
+      "databases[1].bogus",
+      "databases[1].slug.onCollision",
+      "databases[0].srcDir",
+      "databases[0].basePath",
+      "databases[0].layout",
+    ],
+  );
+  assert.strictEqual(problems[0].message, 'Unknown key "bogus"');
+  assert.strictEqual(problems[2].message, "Missing required field 'srcDir'");
+});
+
+test("validateConfig checks property names against the database schema", () => {
+  const dbMetas = [
+    { dbMeta: { properties: { Name: { type: "title", title: {} } } } },
+  ];
+  const problems = validateConfig(
+    { databases: [{ ...database, properties: { Missing: "missing" } }] },
+    dbMetas,
+  );
+
+  assert.deepStrictEqual(problems, [
+    {
+      path: "databases[0].properties.Missing",
+      message: 'Unknown property "Missing"',
+    },
+  ]);
+});
+
+test("validateConfig keeps redirects a top-level setting", () => {
+  const problems = validateConfig({
+    databases: [{ ...database, redirects: ["netlify"] }],
+  });
+
+  assert.deepStrictEqual(
+    problems.map((problem) => problem.path),
+    ["databases[0].redirects"],
+  );
+});
+
+// ---------- selectSources ----------
+const sources = new Map([
+  [
+    DB_ID,
+    {
+      title: "Blog",
+      pages: [{ id: "11111111-1111-1111-1111-111111111111" }],
+    },
+  ],
+  ["b".repeat(32), { title: "Docs", pages: [] }],
+]);
+
+test("selectSources selects everything by default", () => {
+  assert.deepStrictEqual(selectSources(sources), {
+    sourceIds: new Set([DB_ID, "b".repeat(32)]),
+    pageKey: null,
+  });
+});
+
+test("selectSources matches titles case-insensitively and IDs", () => {
+  assert.deepStrictEqual(
+    selectSources(sources, { database: "docs" }).sourceIds,
+    new Set(["b".repeat(32)]),
+  );
+  assert.deepStrictEqual(
+    selectSources(sources, { database: [DB_ID] }).sourceIds,
+    new Set([DB_ID]),
+  );
+});
+
+test("selectSources narrows a page selection to its source", () => {
+  assert.deepStrictEqual(
+    selectSources(sources, {
+      page: "https://www.notion.so/Hello-11111111111111111111111111111111",
+    }),
+    {
+      sourceIds: new Set([DB_ID]),
+      pageKey: "11111111111111111111111111111111",
+    },
+  );
+});
+
+test("selectSources rejects selections that match nothing", () => {
+  assert.throws(() => selectSources(sources, { database: "Nope" }), {
+    code: "INVALID_SELECTION",
+    message:
+      'No database or page tree matches "Nope" (expected a database ID or one of: Blog, Docs)',
+  });
+  assert.throws(
+    () => selectSources(sources, { page: "2".repeat(32), database: "Docs" }),
+    { code: "INVALID_SELECTION", message: /is not exported by the selected/ },
+  );
+  assert.throws(() => selectSources(sources, { page: "not-an-id" }), {
+    code: "INVALID_SELECTION",
+  });
+});
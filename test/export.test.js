@@ -0,0 +1,137 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const {
+  page,
+  paragraph,
+  richText,
+  useFakeNotion,
+  useTempDir,
+} = require("./helpers/fake-notion");
+const { exportNotionToSSG } = require("../src/index.js");
+
+const DB_ID = "a".repeat(32);
+const HELLO_ID = "11111111-1111-1111-1111-111111111111";
+const WORLD_ID = "22222222-2222-2222-2222-222222222222";
+
+let workspace;
+let notion;
+let tempDir;
+
+beforeEach(() => {
+  workspace = {
+    databases: {
+      [DB_ID]: {
+        title: "Blog",
+        pages: [page(HELLO_ID, "Hello"), page(WORLD_ID, "World")],
+      },
+    },
+    blocks: {
+      [HELLO_ID]: [paragraph("b1", "Hello body")],
+      [WORLD_ID]: [paragraph("b2", "World body")],
+    },
+  };
+  notion = useFakeNotion(workspace);
+  tempDir = useTempDir();
+});
+
+afterEach(() => {
+  notion.restore();
+  tempDir.restore();
+});
+
+// No 'publish' block: the default every export starts from
+const config = {
+  requestsPerSecond: 1000,
+  databases: [
+    { databaseId: DB_ID, srcDir: "out", basePath: "/blog", layout: "post" },
+  ],
+};
+
+const run = (options = {}) =>
+  exportNotionToSSG({
+    notionToken: "secret_test",
+    config,
+    logLevel: "quiet",
+    ...options,
+  });
+
+test("writes every page with its front matter and body", async () => {
+  const [result] = await run();
+
+  assert.strictEqual(result.pagesExported, 2);
+  assert.deepStrictEqual(fs.readdirSync("out").sort(), [
+    "hello.md",
+    "world.md",
+  ]);
+  const hello = fs.readFileSync("out/hello.md", "utf8");
+  assert.match(hello, /^---\nlayout: post\ntitle: Hello\n/);
+  assert.match(hello, /permalink: \/blog\/hello\//);
+  assert.match(hello, /Hello body/);
+  assert.ok(fs.existsSync(".notion-sync.json"));
+});
+
+test("skips unchanged pages on the next run", async () => {
+  await run();
+  notion.requests.length = 0;
+
+  const [result] = await run();
+
+  assert.strictEqual(result.pagesExported, 0);
+  assert.strictEqual(result.pagesUnchanged, 2);
+  assert.ok(!notion.requests.some((request) => request.includes("/children")));
+});
+
+test("renames the file of a retitled page and removes deleted pages", async () => {
+  await run();
+  workspace.databases[DB_ID].pages = [
+    page(HELLO_ID, "Hello again", { edited: "2025-02-01T00:00:00.000Z" }),
+  ];
+
+  const [result] = await run();
+
+  assert.strictEqual(result.pagesExported, 1);
+  assert.deepStrictEqual(fs.readdirSync("out"), ["hello-again.md"]);
+});
+
+test("dry runs leave the disk untouched", async () => {
+  const plan = await run({ dryRun: true });
+
+  assert.strictEqual(fs.existsSync("out"), false);
+  assert.strictEqual(fs.existsSync(".notion-sync.json"), false);
+  assert.deepStrictEqual(plan.files.created.map((file) => file.path).sort(), [
+    "out/hello.md",
+    "out/world.md",
+  ]);
+});
+
+test("only nests front matter keys named in the properties mapping", async () => {
+  const db = workspace.databases[DB_ID];
+  db.properties = {
+    Name: { type: "title", title: {} },
+    "v1.2 Notes": { type: "rich_text", rich_text: {} },
+    Summary: { type: "rich_text", rich_text: {} },
+  };
+  for (const notionPage of db.pages) {
+    notionPage.properties["v1.2 Notes"] = {
+      type: "rich_text",
+      rich_text: richText("n"),
+    };
+    notionPage.properties.Summary = {
+      type: "rich_text",
+      rich_text: richText("s"),
+    };
+  }
+  const mapped = {
+    ...config,
+    databases: [
+      { ...config.databases[0], properties: { Summary: "seo.description" } },
+    ],
+  };
+
+  await run({ config: mapped });
+
+  const hello = fs.readFileSync("out/hello.md", "utf8");
+  assert.match(hello, /^v1\.2 Notes: 'n'$/m);
+  assert.match(hello, /^seo:\n {2}description: s$/m);
+});
@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { _internals } = require("../src/index.js");
+
+const { toFrontMatterToml, setNestedValue } = _internals;
+
+test("toFrontMatterToml writes scalars, arrays and nested tables", () => {
+  const toml = toFrontMatterToml({
+    title: 'Say "hi"',
+    "Reading Time": 5,
+    draft: false,
+    tags: ["notion", "ssg"],
+    authors: [{ name: "Ada" }],
+    seo: { description: "Intro", og: { image: "/og.png" } },
+  });
+
+  assert.strictEqual(
+    toml,
+    `+++
+title = "Say \\"hi\\""
+"Reading Time" = 5
+draft = false
+tags = ["notion", "ssg"]
+authors = [{ name = "Ada" }]
+
+[seo]
+description = "Intro"
+
+[seo.og]
+image = "/og.png"
++++
+`,
+  );
+});
+
+test("toFrontMatterToml writes dates as TOML dates", () => {
+  const dateOnly = Object.assign(new Date("2025-01-02"), { dateOnly: true });
+  const toml = toFrontMatterToml({
+    date: dateOnly,
+    updated: new Date("2025-01-02T03:04:05.000Z"),
+  });
+
+  assert.match(toml, /^date = 2025-01-02$/m);
+  assert.match(toml, /^updated = 2025-01-02T03:04:05.000Z$/m);
+});
+
+test("toFrontMatterToml leaves out null values", () => {
+  assert.strictEqual(
+    toFrontMatterToml({ title: "x", summary: null }),
+    '+++\ntitle = "x"\n+++\n',
+  );
+});
+
+test("setNestedValue creates objects along a dotted key", () => {
+  const front = { title: "x" };
+  setNestedValue(front, "seo.og.image", "/og.png");
+  setNestedValue(front, "seo.description", "Intro");
+
+  assert.deepStrictEqual(front, {
+    title: "x",
+    seo: { og: { image: "/og.png" }, description: "Intro" },
+  });
+});
+
+test("setNestedValue replaces values that are not objects", () => {
+  const front = { seo: "plain" };
+  setNestedValue(front, "seo.description", "Intro");
+
+  assert.deepStrictEqual(front, { seo: { description: "Intro" } });
+});
@@ -0,0 +1,120 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Client } = require("@notionhq/client");
+
+// ---------- Notion Objects ----------
+function richText(content, annotations = {}) {
+  return [
+    {
+      type: "text",
+      text: { content, link: null },
+      plain_text: content,
+      href: null,
+      annotations: {
+        bold: false,
+        italic: false,
+        strikethrough: false,
+        underline: false,
+        code: false,
+        color: "default",
+        ...annotations,
+      },
+    },
+  ];
+}
+
+function titleProperty(content) {
+  return { type: "title", title: richText(content) };
+}
+
+function paragraph(id, content) {
+  return {
+    object: "block",
+    id,
+    type: "paragraph",
+    has_children: false,
+    paragraph: { rich_text: richText(content), color: "default" },
+  };
+}
+
+function page(id, title, { edited = "2025-01-01T00:00:00.000Z" } = {}) {
+  return {
+    object: "page",
+    id,
+    created_time: "2025-01-01T00:00:00.000Z",
+    last_edited_time: edited,
+    archived: false,
+    properties: { Name: titleProperty(title) },
+  };
+}
+
+// ---------- Fake Workspace ----------
+/**
+ * Answers the requests of the real Notion client from an in-memory
+ * workspace: { databases: { [id]: { title, properties, pages } }, blocks }.
+ * Returns the list of requests made and a restore() function.
+ */
+function useFakeNotion(workspace) {
+  const original = Client.prototype.request;
+  const requests = [];
+
+  Client.prototype.request = async function ({ path: apiPath, method }) {
+    requests.push(`${method.toUpperCase()} ${apiPath}`);
+    const [resource, id, action] = apiPath.split("/");
+    const db = resource === "databases" && workspace.databases[id];
+
+    if (db && !action) {
+      return {
+        object: "database",
+        id,
+        title: richText(db.title),
+        properties: db.properties || { Name: { type: "title", title: {} } },
+      };
+    }
+    if (db && action === "query") {
+      return { results: db.pages, has_more: false, next_cursor: null };
+    }
+    if (resource === "blocks" && action === "children") {
+      return {
+        results: workspace.blocks?.[id] || [],
+        has_more: false,
+        next_cursor: null,
+      };
+    }
+    throw Object.assign(new Error(`Unexpected request ${method} ${apiPath}`), {
+      code: "object_not_found",
+      status: 404,
+    });
+  };
+
+  return {
+    requests,
+    restore() {
+      Client.prototype.request = original;
+    },
+  };
+}
+
+// Exports write relative to the working directory: run each in a fresh one
+function useTempDir() {
+  const previous = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notion-to-ssg-"));
+  process.chdir(dir);
+  return {
+    dir,
+    restore() {
+      process.chdir(previous);
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = {
+  richText,
+  titleProperty,
+  paragraph,
+  page,
+  useFakeNotion,
+  useTempDir,
+};
@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { _internals } = require("../src/index.js");
+
+const { renderPathTemplate } = _internals;
+
+const page = {
+  id: "11111111-2222-3333-4444-555555555555",
+  created_time: "2025-01-01T00:00:00.000Z",
+  properties: {
+    Name: { type: "title", title: [{ plain_text: "Hello World" }] },
+    Category: { type: "select", select: { name: "Tech News" } },
+    Series: { type: "select", select: null },
+    Tags: {
+      type: "multi_select",
+      multi_select: [{ name: "Notion" }, { name: "SSG" }],
+    },
+  },
+};
+
+const ctx = {
+  slug: "hello-world",
+  basePath: "/blog",
+  slugConf: { lower: true },
+  date: "2024-03-05T10:00:00.000Z",
+  lang: "fr",
+};
+
+test("replaces built-in tokens", () => {
+  assert.strictEqual(
+    renderPathTemplate("{basePath}/{year}/{month}/{day}/{slug}/", page, ctx),
+    "/blog/2024/03/05/hello-world/",
+  );
+  assert.strictEqual(
+    renderPathTemplate("{lang}/{id}", page, ctx),
+    "fr/11111111222233334444555555555555",
+  );
+  assert.strictEqual(renderPathTemplate("{title}", page, ctx), "Hello World");
+});
+
+test("reads page properties and applies filters in order", () => {
+  assert.strictEqual(
+    renderPathTemplate("{Category|slug}/{slug}", page, ctx),
+    "tech-news/hello-world",
+  );
+  assert.strictEqual(
+    renderPathTemplate("{ Category | upper }", page, ctx),
+    "TECH NEWS",
+  );
+  assert.strictEqual(
+    renderPathTemplate("{created_time|year}-{created_time|date}", page, ctx),
+    "2025-2025-01-01",
+  );
+});
+
+test("uses the first value of multi-value properties", () => {
+  assert.strictEqual(
+    renderPathTemplate("/{Tags|lower}/", page, ctx),
+    "/notion/",
+  );
+});
+
+test("empty values leave no doubled slashes behind", () => {
+  assert.strictEqual(
+    renderPathTemplate("{basePath}/{Series}/{slug}/", page, ctx),
+    "/blog/hello-world/",
+  );
+  assert.strictEqual(
+    renderPathTemplate("https://example.com/{Series}/{slug}", page, ctx),
+    "https://example.com/hello-world",
+  );
+});
+
+test("rejects unknown tokens and filters", () => {
+  assert.throws(
+    () => renderPathTemplate("{Missing}", page, ctx),
+    /Unknown template token "\{Missing\}"/,
+  );
+  assert.throws(
+    () => renderPathTemplate("{slug|reverse}", page, ctx),
+    /Unknown template filter "reverse" in "\{slug\|reverse\}"/,
+  );
+});
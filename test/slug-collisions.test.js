@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { _internals } = require("../src/index.js");
+
+const { detectDbConfig, buildPageEntry, resolveSlugCollisions } = _internals;
+
+function page(id, title, created) {
+  return {
+    id,
+    created_time: created,
+    properties: { Name: { type: "title", title: [{ plain_text: title }] } },
+  };
+}
+
+const OLDER = page(
+  "11111111-1111-1111-1111-111111111111",
+  "Same Title",
+  "2025-01-01T00:00:00.000Z",
+);
+const NEWER = page(
+  "22222222-2222-2222-2222-222222222222",
+  "Same Title",
+  "2025-02-01T00:00:00.000Z",
+);
+const NEWEST = page(
+  "33333333-3333-3333-3333-333333333333",
+  "Same Title",
+  "2025-03-01T00:00:00.000Z",
+);
+
+function dbConfig(overrides = {}) {
+  return detectDbConfig({
+    databaseId: "a".repeat(32),
+    srcDir: "out",
+    basePath: "/blog",
+    layout: "post",
+    ...overrides,
+  });
+}
+
+// The sources and page map of a first export pass over one database each
+function resolve(databases) {
+  const sources = new Map();
+  const pageMap = new Map();
+  databases.forEach(({ dbCfg, pages }, index) => {
+    sources.set(`db${index}`, { pages, dbCfg });
+    for (const p of pages) {
+      pageMap.set(p.id.replace(/-/g, ""), buildPageEntry(p, dbCfg));
+    }
+  });
+  resolveSlugCollisions(sources, pageMap);
+  return pageMap;
+}
+
+const slugOf = (pageMap, p) => pageMap.get(p.id.replace(/-/g, "")).slug;
+
+test("fails by default and lists every colliding page", () => {
+  assert.throws(
+    () => resolve([{ dbCfg: dbConfig(), pages: [NEWER, OLDER] }]),
+    (error) => {
+      assert.match(error.message, /^Slug collisions found/);
+      assert.match(error.message, /22222222-2222-2222-2222-222222222222/);
+      return true;
+    },
+  );
+});
+
+test("'counter' keeps the oldest page's slug and numbers the others", () => {
+  const pageMap = resolve([
+    {
+      dbCfg: dbConfig({ slug: { onCollision: "counter" } }),
+      pages: [NEWEST, OLDER, NEWER],
+    },
+  ]);
+
+  assert.strictEqual(slugOf(pageMap, OLDER), "same-title");
+  assert.strictEqual(slugOf(pageMap, NEWER), "same-title-2");
+  assert.strictEqual(slugOf(pageMap, NEWEST), "same-title-3");
+  assert.strictEqual(
+    pageMap.get(NEWER.id.replace(/-/g, "")).permalink,
+    "/blog/same-title-2/",
+  );
+});
+
+test("'id' appends the start of the page ID", () => {
+  const pageMap = resolve([
+    { dbCfg: dbConfig({ slug: { onCollision: "id" } }), pages: [OLDER, NEWER] },
+  ]);
+
+  assert.strictEqual(slugOf(pageMap, OLDER), "same-title");
+  assert.strictEqual(slugOf(pageMap, NEWER), "same-title-22222222");
+});
+
+test("detects collisions across databases sharing a directory", () => {
+  const dbCfg = dbConfig({ slug: { onCollision: "counter" } });
+  const pageMap = resolve([
+    { dbCfg, pages: [OLDER] },
+    { dbCfg: { ...dbCfg, basePath: "/news" }, pages: [NEWER] },
+  ]);
+
+  // Same file in out/, different URLs: the newer page still moves
+  assert.strictEqual(slugOf(pageMap, OLDER), "same-title");
+  assert.strictEqual(slugOf(pageMap, NEWER), "same-title-2");
+});
+
+test("leaves pages without collisions alone", () => {
+  const other = page(
+    "44444444-4444-4444-4444-444444444444",
+    "Other",
+    "2025-01-01T00:00:00.000Z",
+  );
+  const pageMap = resolve([{ dbCfg: dbConfig(), pages: [OLDER, other] }]);
+
+  assert.strictEqual(slugOf(pageMap, OLDER), "same-title");
+  assert.strictEqual(slugOf(pageMap, other), "other");
+});